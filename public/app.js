@@ -9,6 +9,9 @@
   const state = {
     connected: false,
     ws: null,
+    stream: null,
+    wsFailures: 0,
+    snapshot: null,
     counter: 0,
     counterDecimal: 0,
     targetCounter: 0,
@@ -27,6 +30,8 @@
     perDay: document.getElementById('per-day'),
     rangeLow: document.getElementById('range-low'),
     rangeHigh: document.getElementById('range-high'),
+    suppression: document.getElementById('suppression'),
+    suppressionValue: document.getElementById('suppression-value'),
     companiesList: document.getElementById('companies-list'),
     companiesTotal: document.getElementById('companies-total')
   };
@@ -35,28 +40,80 @@
     return Math.floor(n).toLocaleString('en-US');
   }
 
-  // WebSocket connection
+  // Update rates (ms): full speed while visible, a trickle in background tabs
+  const VISIBLE_RATE = 100;
+  const HIDDEN_RATE = 5000;
+
+  // WebSocket attempts that never open before falling back to SSE (proxies
+  // that strip upgrades), and the SSE update rate (full states, not deltas)
+  const WS_MAX_FAILURES = 3;
+  const SSE_RATE = 1000;
+
+  // Apply a v2 delta: { set, unset, nested } - nested objects are diffed the same way
+  function applyDelta(target, delta) {
+    const result = Object.assign({}, target);
+    (delta.unset || []).forEach((key) => {
+      delete result[key];
+    });
+    Object.keys(delta.set || {}).forEach((key) => {
+      result[key] = delta.set[key];
+    });
+    Object.keys(delta.nested || {}).forEach((key) => {
+      const current = result[key] && typeof result[key] === 'object' && !Array.isArray(result[key]) ? result[key] : {};
+      result[key] = applyDelta(current, delta.nested[key]);
+    });
+    return result;
+  }
+
+  function subscribe() {
+    if (!state.ws || state.ws.readyState !== 1) return;
+    state.ws.send(JSON.stringify({
+      type: 'subscribe',
+      rate: document.hidden ? HIDDEN_RATE : VISIBLE_RATE
+    }));
+  }
+
+  function setConnected(connected) {
+    state.connected = connected;
+    if (el.status) {
+      el.status.classList.toggle('connected', connected);
+      el.status.querySelector('.status-text').textContent = connected ? 'LIVE' : 'RECONNECTING';
+    }
+    if (connected && !state.animating) {
+      state.animating = true;
+      animate();
+    }
+  }
+
+  function handleModelEvent() {
+    // Registry, exposure rates or JOLTS history changed - refresh the attribution table
+    if (state.companiesRendered) renderCompanies(state.counter);
+  }
+
+  // WebSocket connection (protocol v2: snapshot, then deltas)
   function connect() {
     const protocol = location.protocol === 'https:' ? 'wss:' : 'ws:';
-    state.ws = new WebSocket(`${protocol}//${location.host}`);
+    let opened = false;
+    state.ws = new WebSocket(`${protocol}//${location.host}/?v=2`);
     
     state.ws.onopen = () => {
-      state.connected = true;
-      if (el.status) {
-        el.status.classList.add('connected');
-        el.status.querySelector('.status-text').textContent = 'LIVE';
-      }
-      if (!state.animating) {
-        state.animating = true;
-        animate();
-      }
+      opened = true;
+      state.wsFailures = 0;
+      setConnected(true);
+      if (document.hidden) subscribe();
     };
     
     state.ws.onmessage = (e) => {
       try {
         const msg = JSON.parse(e.data);
-        if (msg.type === 'init' || msg.type === 'tick') {
-          handleData(msg.data);
+        if (msg.type === 'snapshot') {
+          state.snapshot = msg.data;
+          handleData(state.snapshot);
+        } else if (msg.type === 'delta' && state.snapshot) {
+          state.snapshot = applyDelta(state.snapshot, msg.data);
+          handleData(state.snapshot);
+        } else if (msg.type === 'model-update' || msg.type === 'revision') {
+          handleModelEvent();
         }
       } catch (err) {
         console.error('Parse error:', err);
@@ -64,15 +121,37 @@
     };
     
     state.ws.onclose = () => {
-      state.connected = false;
-      if (el.status) {
-        el.status.classList.remove('connected');
-        el.status.querySelector('.status-text').textContent = 'RECONNECTING';
+      setConnected(false);
+      if (!opened && ++state.wsFailures >= WS_MAX_FAILURES && window.EventSource) {
+        console.warn('WebSocket unavailable, falling back to Server-Sent Events');
+        connectStream();
+        return;
       }
       setTimeout(connect, 2000);
     };
   }
 
+  // Server-Sent Events fallback (init and tick carry the full state);
+  // EventSource reconnects by itself and resumes with Last-Event-ID
+  function connectStream() {
+    state.ws = null;
+    state.stream = new EventSource(`/api/stream?rate=${SSE_RATE}`);
+    
+    const onState = (e) => {
+      try {
+        handleData(JSON.parse(e.data));
+      } catch (err) {
+        console.error('Parse error:', err);
+      }
+    };
+    state.stream.addEventListener('init', onState);
+    state.stream.addEventListener('tick', onState);
+    state.stream.addEventListener('model-update', handleModelEvent);
+    state.stream.addEventListener('revision', handleModelEvent);
+    state.stream.onopen = () => setConnected(true);
+    state.stream.onerror = () => setConnected(false);
+  }
+
   function handleData(data) {
     state.targetCounter = data.counterDecimal || data.counter;
     state.perSecond = data.perSecond || 0;
@@ -97,6 +176,14 @@
     if (el.perDay) el.perDay.textContent = fmt(state.perDay);
     if (el.rangeLow) el.rangeLow.textContent = fmt(state.perDayLow);
     if (el.rangeHigh) el.rangeHigh.textContent = fmt(state.perDayHigh);
+    
+    // Separate hiring suppression estimate (absent when disabled server-side)
+    if (el.suppression) {
+      el.suppression.hidden = !data.suppression;
+      if (data.suppression && el.suppressionValue) {
+        el.suppressionValue.textContent = fmt(Math.max(0, data.suppression.counter));
+      }
+    }
   }
 
   function animate() {
@@ -143,59 +230,62 @@
     }
   }
 
-  // Render companies list with methodology-based attribution
-  function renderCompanies(totalDisplacement) {
-    if (!el.companiesList || !window.AI_COMPANIES || !window.calculateDisplacementScores) {
-      console.error('Companies data not loaded');
-      if (el.companiesList) {
-        el.companiesList.innerHTML = '<div class="loading">Error loading company data</div>';
-      }
-      return;
-    }
+  function textSpan(className, text, title) {
+    const span = document.createElement('span');
+    span.className = className;
+    span.textContent = text;
+    if (title) span.title = title;
+    return span;
+  }
+
+  function companyRow(company) {
+    const row = document.createElement('div');
+    row.className = 'company-row';
+    if (company.rank >= 1 && company.rank <= 3) row.classList.add(`top-${company.rank}`);
+    row.title = `Factors: ${JSON.stringify(company.factorLabels || {})}`;
     
-    console.log('Calculating displacement attribution for total:', totalDisplacement.toLocaleString());
+    // Category name for tooltip
+    const categoryName = company.categoryName || company.category;
     
-    const companies = window.calculateDisplacementScores(window.AI_COMPANIES, totalDisplacement);
+    row.append(
+      textSpan('col-rank', String(company.rank)),
+      textSpan('col-name', company.name, company.name),
+      textSpan('col-industry', company.industry, categoryName),
+      textSpan('col-share', `${company.percentage}%`),
+      textSpan('col-jobs', fmt(company.displacement))
+    );
+    return row;
+  }
+
+  // Render companies list with methodology-based attribution (computed server-side)
+  async function renderCompanies(totalDisplacement) {
+    if (!el.companiesList) return;
+    
+    let companies;
+    try {
+      const response = await fetch(`/api/companies?total=${Math.floor(totalDisplacement)}`);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      companies = (await response.json()).companies;
+    } catch (err) {
+      console.error('Companies data not loaded:', err);
+      el.companiesList.innerHTML = '<div class="loading">Error loading company data</div>';
+      return;
+    }
     
-    // Verify totals
     const calculatedTotal = companies.reduce((sum, c) => sum + c.displacement, 0);
-    console.log('Calculated total:', calculatedTotal.toLocaleString());
-    console.log('Difference:', (totalDisplacement - calculatedTotal).toLocaleString());
-    
-    // Render list
-    el.companiesList.innerHTML = companies.map(company => {
-      let topClass = '';
-      if (company.rank === 1) topClass = 'top-1';
-      else if (company.rank === 2) topClass = 'top-2';
-      else if (company.rank === 3) topClass = 'top-3';
-      
-      // Get category name for tooltip
-      const categoryInfo = window.DISPLACEMENT_CATEGORIES?.[company.category];
-      const categoryName = categoryInfo?.name || company.category;
-      
-      return `
-        <div class="company-row ${topClass}" title="Factors: ${JSON.stringify(company.factors || {})}">
-          <span class="col-rank">${company.rank}</span>
-          <span class="col-name" title="${company.name}">${company.name}</span>
-          <span class="col-industry" title="${categoryName}">${company.industry}</span>
-          <span class="col-share">${company.percentage}%</span>
-          <span class="col-jobs">${fmt(company.displacement)}</span>
-        </div>
-      `;
-    }).join('');
+    
+    // Render list. Names and categories come from the admin company editor,
+    // so they are set as text, never as HTML
+    el.companiesList.replaceChildren(...companies.map(companyRow));
     
     // Update total
     if (el.companiesTotal) {
       el.companiesTotal.textContent = fmt(calculatedTotal);
     }
-    
-    // Log methodology verification
-    console.log('Top 10 companies:');
-    companies.slice(0, 10).forEach(c => {
-      console.log(`  ${c.rank}. ${c.name}: ${c.displacement.toLocaleString()} (${c.percentage}%)`);
-    });
   }
 
+  document.addEventListener('visibilitychange', subscribe);
+
   // Init
   if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', connect);
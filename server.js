@@ -19,7 +19,8 @@
  *    - Goldman Sachs (2023): 25% of work tasks could be automated
  * 
  *    Our model applies industry-specific AI exposure weights based on:
- *    - Occupational AI exposure (O*NET automation probability data)
+ *    - Occupational AI exposure (bundled occupation-by-industry matrix and
+ *      per-occupation scores, see src/model/occupations.js)
  *    - Sector-specific AI adoption rates
  *    - Historical AI-cited layoff patterns
  * 
@@ -37,6 +38,49 @@ const express = require('express');
 const { WebSocketServer } = require('ws');
 const http = require('http');
 const path = require('path');
+const config = require('./src/config');
+const store = require('./src/data/store');
+const {
+  AI_START_DATE,
+  AI_EXPOSURE_MODEL,
+  INDUSTRIES,
+  buildMonthlySeries,
+  expandCalendarMonths,
+  reconcileSectors
+} = require('./src/model/exposure');
+const { computeMetrics, computeSectorBreakdown } = require('./src/model/metrics');
+const revisions = require('./src/model/revisions');
+const occupations = require('./src/model/occupations');
+const geography = require('./src/model/geography');
+const history = require('./src/model/history');
+const RateNowcaster = require('./src/model/nowcast');
+const { Counter, AnchorSync, rateFields } = require('./src/model/counter');
+const versions = require('./src/model/versions');
+const scenarios = require('./src/model/scenarios');
+const { simulateInBatches } = require('./src/model/uncertainty');
+const { analyzeSensitivityInBatches } = require('./src/model/sensitivity');
+const { computeSuppression } = require('./src/model/suppression');
+const {
+  AI_ERA_START,
+  US_AI_COMPANIES,
+  DISPLACEMENT_CATEGORIES,
+  scoreCompanies,
+  calculateDisplacementScores,
+  decomposeCompanyShare,
+  monthlyCompanyShares,
+  companyMonthlySeries,
+  slugify
+} = require('./src/model/companies');
+const { ingestWarnNotices } = require('./src/ingest/warn');
+const { ingestLayoffAnnouncements, announcementSignal } = require('./src/ingest/layoffs');
+const { parseEventQuery } = require('./src/data/eventQuery');
+const { FredClient } = require('./src/sources/fred');
+const { createPubSub } = require('./src/data/pubsub');
+const { ClientSession, channelEntry, parseConnectUrl, parseSubscribe, TICK_MS } = require('./src/stream/protocol');
+const { EventLog, SseSession } = require('./src/stream/sse');
+const registry = require('./src/admin/registry');
+const createAdminRouter = require('./src/admin/router');
+const { requireApiKey } = require('./src/admin/router');
 
 const app = express();
 const server = http.createServer(app);
@@ -51,93 +95,52 @@ app.use(express.json());
 
 const FRED_API_KEY = process.env.FRED_API_KEY || 'dd95e4eec9828bfb382268589de5dfa1';
 
-// FRED JOLTS Series IDs
+// FRED JOLTS Series IDs: total nonfarm plus every supersector (see INDUSTRIES)
 const FRED_SERIES = {
   total: 'JTSLDL',                    // Total Nonfarm layoffs/discharges
-  information: 'JTU5100LDL',          // Information (Tech, Media)
-  professional: 'JTU540099LDL',       // Professional & Business Services
+  mining: 'JTU110099LDL',             // Mining & Logging
+  construction: 'JTU2300LDL',         // Construction
   manufacturing: 'JTU3000LDL',        // Manufacturing
-  finance: 'JTU5200LDL',              // Finance & Insurance
+  wholesale: 'JTU4200LDL',            // Wholesale Trade
   retail: 'JTU4400LDL',               // Retail Trade
+  transportation: 'JTU480099LDL',     // Transportation, Warehousing & Utilities
+  information: 'JTU5100LDL',          // Information (Tech, Media)
+  finance: 'JTU5200LDL',              // Finance & Insurance
+  real_estate: 'JTU5300LDL',          // Real Estate, Rental & Leasing
+  professional: 'JTU540099LDL',       // Professional & Business Services
+  education: 'JTU6100LDL',            // Educational Services (private)
+  healthcare: 'JTU6200LDL',           // Health Care & Social Assistance
+  arts: 'JTU7100LDL',                 // Arts, Entertainment & Recreation
+  accommodation: 'JTU7200LDL',        // Accommodation & Food Services
+  other_services: 'JTU8100LDL',       // Other Services
+  government: 'JTU9000LDL',           // Government (federal, state, local)
 };
 
-// ============================================================================
-// RESEARCH-BASED AI ATTRIBUTION MODEL
-// ============================================================================
-
-/**
- * AI Exposure Rates by Industry
- * 
- * Based on:
- * - IMF (2024): 40% overall AI exposure, but only 25% of that at high displacement risk
- * - Challenger Gray & Christmas: 4-8% of layoffs explicitly cite AI
- * - McKinsey: Higher exposure in knowledge work
- * - O*NET occupational automation probability data
- * 
- * These represent the PROBABILITY that a layoff in the sector was AI-influenced.
- * We use conservative (low) estimates.
- */
-const AI_EXPOSURE_MODEL = {
-  // High AI exposure sectors
-  information: {
-    low: 0.12,      // 12% lower bound
-    mid: 0.18,      // 18% midpoint estimate
-    high: 0.25,     // 25% upper bound
-    rationale: 'Tech sector directly impacted by AI tools replacing coding, content, support'
-  },
-  
-  professional: {
-    low: 0.08,
-    mid: 0.12,
-    high: 0.18,
-    rationale: 'AI automation of legal research, accounting, consulting analysis'
-  },
-  
-  finance: {
-    low: 0.10,
-    mid: 0.15,
-    high: 0.20,
-    rationale: 'Algorithmic trading, automated underwriting, AI customer service'
-  },
-  
-  // Moderate AI exposure
-  manufacturing: {
-    low: 0.05,
-    mid: 0.08,
-    high: 0.12,
-    rationale: 'Industrial automation, robotics (ongoing trend, not new AI)'
-  },
-  
-  retail: {
-    low: 0.04,
-    mid: 0.06,
-    high: 0.10,
-    rationale: 'Self-checkout, inventory AI, but many roles still require humans'
-  },
-  
-  // Lower AI exposure (used for uncategorized sectors)
-  other: {
-    low: 0.03,
-    mid: 0.05,
-    high: 0.08,
-    rationale: 'Healthcare, education, government - slower AI adoption'
-  }
+// Other JOLTS data elements share the layoffs IDs with a different suffix
+// (JTSLDL → JTSHIL, JTU5100LDL → JTU5100HIL, ...)
+const FRED_FLOW_ELEMENTS = {
+  hires: 'HIL',
+  quits: 'QUL',
+  openings: 'JOL'
 };
 
+function flowSeriesId(key, flow) {
+  return FRED_SERIES[key].replace(/LDL$/, FRED_FLOW_ELEMENTS[flow]);
+}
+
+// How the shipped exposure rates follow from the bundled occupation files
+const EXPOSURE_DERIVATION = occupations.deriveIndustryRates(INDUSTRIES);
+
 // ============================================================================
 // LIVE DATA STORE
 // ============================================================================
 
 const liveData = {
   fred: {
-    total: { value: null, date: null },
-    information: { value: null, date: null },
-    professional: { value: null, date: null },
-    manufacturing: { value: null, date: null },
-    finance: { value: null, date: null },
-    retail: { value: null, date: null },
+    ...Object.fromEntries(Object.keys(FRED_SERIES).map(key => [key, { value: null, date: null }])),
     fetchedAt: null,
-    errors: []
+    errors: [],
+    stale: []
   },
   calculated: {
     totalMonthly: 0,
@@ -150,39 +153,45 @@ const liveData = {
     perSecond: 0,
     historicalTotal: 0,
     confidence: 'medium'
-  }
+  },
+  // Month-by-month AI-attributed estimates since AI_START_DATE
+  monthly: [],
+  // Monte Carlo percentile bands for the live model (null until computed)
+  uncertainty: null,
+  // Sector sum vs total nonfarm, per month
+  reconciliation: [],
+  // Per-sector cumulative and latest-month estimates (sector:<name> channels)
+  sectors: null,
+  // Hires, quits and openings by industry, keyed like fred (history from the baseline start)
+  flows: { hires: {}, quits: {}, openings: {}, errors: [] },
+  // Net hiring suppression (null when disabled or without data)
+  suppression: null
 };
 
+// Smoothed daily rate (Kalman filter over JOLTS releases and faster signals)
+const nowcaster = new RateNowcaster();
+
+/**
+ * Live per-second rate for the counter: the nowcast once it has seen a
+ * release, otherwise the latest month's flat rate.
+ */
+function liveRate() {
+  if (nowcaster.observations > 0) {
+    return nowcaster.getEstimate();
+  }
+  const perDay = liveData.calculated.perDayMid || 0;
+  return { rate: perDay, stdDev: null, perSecond: liveData.calculated.perSecond || 0 };
+}
+
 // ============================================================================
 // FRED API FETCHER
 // ============================================================================
 
-async function fetchFredSeries(seriesId) {
+const fredClient = new FredClient({ apiKey: FRED_API_KEY, ...config.fred });
+
+async function fetchFredSeries(seriesId, observationStart = AI_START_DATE) {
   try {
-    const url = `https://api.stlouisfed.org/fred/series/observations?` +
-      `series_id=${seriesId}&` +
-      `api_key=${FRED_API_KEY}&` +
-      `file_type=json&` +
-      `sort_order=desc&` +
-      `limit=12`;
-    
-    const response = await fetch(url);
-    if (!response.ok) throw new Error(`HTTP ${response.status}`);
-    
-    const data = await response.json();
-    if (!data.observations?.length) throw new Error('No data');
-    
-    const latest = data.observations[0];
-    const values = data.observations
-      .filter(o => o.value !== '.')
-      .map(o => parseFloat(o.value) * 1000);
-    
-    return {
-      latest: parseFloat(latest.value) * 1000,
-      average: values.reduce((a, b) => a + b, 0) / values.length,
-      date: latest.date,
-      history: values
-    };
+    return await fredClient.fetchSeries(seriesId, { observationStart });
   } catch (err) {
     return { error: err.message };
   }
@@ -192,176 +201,270 @@ async function fetchAllData() {
   console.log('[DATA] Fetching live JOLTS data from FRED...');
   
   const errors = [];
+  const stale = [];
+  const previous = { ...liveData.fred };
   const entries = Object.entries(FRED_SERIES);
   const results = await Promise.all(
     entries.map(([key, seriesId]) => fetchFredSeries(seriesId).then(r => [key, r]))
   );
   
   for (const [key, result] of results) {
-    if (result.error) {
+    if (!result.history) {
       errors.push(`${key}: ${result.error}`);
-      liveData.fred[key] = { value: null, date: null, error: result.error };
+      // Keep the last good observation (possibly restored from the store)
+      liveData.fred[key] = { ...liveData.fred[key], error: result.error };
     } else {
+      // A stale result is the client's cached response from a failed fetch
+      if (result.stale) stale.push(`${key}: ${result.error} (cached ${result.fetchedAt})`);
       liveData.fred[key] = {
         value: result.latest,
         average: result.average,
-        date: result.date
+        date: result.date,
+        history: result.history,
+        source: result.source,
+        ...(result.stale && { stale: true, error: result.error })
       };
-      console.log(`  ${key}: ${result.latest.toLocaleString()} (${result.date})`);
+      console.log(`  ${key}: ${result.latest.toLocaleString()} (${result.date})${result.stale ? ' [cached]' : ''}`);
     }
   }
   
   liveData.fred.fetchedAt = new Date().toISOString();
   liveData.fred.errors = errors;
+  liveData.fred.stale = stale;
+  
+  const revision = await trackRevisions(previous);
+  
+  await fetchFlows();
   
   calculateAIDisplacement();
+  refreshSensitivity();
+  if (revision) await applyRevision(revision);
+  await anchors.refresh('JOLTS refresh', liveData.calculated.historicalMid);
+  await persistSnapshot();
   return errors.length === 0;
 }
 
-// ============================================================================
-// AI DISPLACEMENT CALCULATION (Research-Based Model)
-// ============================================================================
-
-function calculateAIDisplacement() {
-  console.log('[CALC] Computing AI displacement estimates...');
+/**
+ * Store a vintage for every new or changed layoffs value and collect the
+ * months BLS revised since they were last fetched, with their impact on
+ * the cumulative totals (computed from the previous snapshot)
+ *
+ * @returns {Promise<Object|null>} Revision record, or null when nothing was revised
+ */
+async function trackRevisions(previous) {
+  const realtimeStart = liveData.fred.fetchedAt.slice(0, 10);
+  const months = [];
   
-  const fred = liveData.fred;
-  const totalMonthly = fred.total?.value || 0;
+  for (const [key, seriesId] of Object.entries(FRED_SERIES)) {
+    const series = liveData.fred[key];
+    // Cached responses carry nothing new
+    if (!series?.history || series.stale) continue;
+    
+    const { changes, revised } = revisions.compareVintages(series.history, store.getVintages(seriesId));
+    await store.addVintages(seriesId, changes, realtimeStart);
+    for (const month of revised) {
+      months.push({
+        series: key,
+        seriesId,
+        date: month.date,
+        previous: Math.round(month.previous),
+        revised: Math.round(month.revised),
+        change: Math.round(month.revised - month.previous)
+      });
+    }
+  }
   
-  if (totalMonthly === 0) {
-    console.log('[CALC] No data available');
+  if (!months.length) return null;
+  return {
+    id: `rev-${Date.parse(liveData.fred.fetchedAt).toString(36)}`,
+    detectedAt: liveData.fred.fetchedAt,
+    vintage: realtimeStart,
+    modelVersion: versions.getCurrentVersion()?.id || null,
+    months,
+    impact: revisions.revisionImpact(previous, months)
+  };
+}
+
+/**
+ * A revision rewrites history, so the counter moves by the revision's
+ * effect on the cumulative mid estimate. Stored and pushed to clients.
+ */
+async function applyRevision(revision) {
+  // Every instance fetches FRED and sees the same revision; the owner of
+  // the anchor applies, stores and announces it
+  const key = revisions.revisionKey(revision.months);
+  await anchors.sync();
+  if (!(await anchors.claim())) return;
+  if (counter.anchor?.revisions?.includes(key)) {
+    console.log(`[REVISIONS] ${revision.months.length} revised month(s) already applied by ${counter.anchor.origin}`);
     return;
   }
   
-  // Calculate AI-attributed layoffs for each known industry
-  let aiLow = 0, aiMid = 0, aiHigh = 0;
-  let knownTotal = 0;
+  const delta = revision.impact?.historicalMid.delta || 0;
+  const before = counter.valueAt();
+  if (counter.initialized) {
+    await anchors.move(before + delta, 'JOLTS revision', { revision: key });
+  }
+  revision.counter = { before: Math.floor(before), after: counter.value, delta: counter.value - Math.floor(before) };
+  await store.addRevision(revision);
   
-  const industries = ['information', 'professional', 'finance', 'manufacturing', 'retail'];
+  const summary = revision.months.map(m => `${m.series} ${m.date.slice(0, 7)} ${m.change > 0 ? '+' : ''}${m.change.toLocaleString()}`);
+  console.log(`[REVISIONS] ${revision.months.length} revised month(s): ${summary.slice(0, 5).join(', ')}` +
+    `${summary.length > 5 ? ', ...' : ''}; counter ${delta >= 0 ? '+' : ''}${delta.toLocaleString()}`);
   
-  for (const industry of industries) {
-    const data = fred[industry];
-    if (data?.value) {
-      const model = AI_EXPOSURE_MODEL[industry];
-      aiLow += data.value * model.low;
-      aiMid += data.value * model.mid;
-      aiHigh += data.value * model.high;
-      knownTotal += data.value;
+  const event = {
+    id: revision.id,
+    vintage: revision.vintage,
+    months: revision.months.length,
+    counter: revision.counter
+  };
+  broadcastEvent('revision', event);
+  await pubsub?.publish('revision', event);
+}
+
+/**
+ * Hires, quits and openings for every series in FRED_SERIES. Fetched back to
+ * the suppression baseline, since the comparison needs pre-2023 months.
+ */
+async function fetchFlows() {
+  const start = config.model.suppression.baselineStart;
+  const requests = [];
+  for (const flow of Object.keys(FRED_FLOW_ELEMENTS)) {
+    for (const key of Object.keys(FRED_SERIES)) {
+      requests.push(fetchFredSeries(flowSeriesId(key, flow), start).then(r => [flow, key, r]));
     }
   }
   
-  // Apply "other" rate to remaining sectors
-  const otherSectors = Math.max(0, totalMonthly - knownTotal);
-  const otherModel = AI_EXPOSURE_MODEL.other;
-  aiLow += otherSectors * otherModel.low;
-  aiMid += otherSectors * otherModel.mid;
-  aiHigh += otherSectors * otherModel.high;
-  
-  // Calculate daily and per-second rates (use midpoint for counter)
-  const perDayMid = aiMid / 30;
-  const perSecond = perDayMid / 86400;
-  
-  // Historical calculation since ChatGPT launch (Nov 30, 2022)
-  // But we'll count from Jan 2023 for cleaner period
-  const startDate = new Date('2023-01-01');
-  const now = new Date();
-  const daysSinceStart = Math.floor((now - startDate) / (1000 * 60 * 60 * 24));
-  
-  // Use average of the range for historical estimate
-  const historicalTotal = Math.floor(daysSinceStart * perDayMid);
-  
-  // Overall rate for transparency
-  const overallRate = aiMid / totalMonthly;
-  
-  liveData.calculated = {
-    totalMonthly: Math.round(totalMonthly),
-    aiLow: Math.round(aiLow),
-    aiMid: Math.round(aiMid),
-    aiHigh: Math.round(aiHigh),
-    aiRateLow: (aiLow / totalMonthly * 100).toFixed(1),
-    aiRateMid: (aiMid / totalMonthly * 100).toFixed(1),
-    aiRateHigh: (aiHigh / totalMonthly * 100).toFixed(1),
-    perDayLow: Math.round(aiLow / 30),
-    perDayMid: Math.round(perDayMid),
-    perDayHigh: Math.round(aiHigh / 30),
-    perSecond: perSecond,
-    historicalLow: Math.floor(daysSinceStart * aiLow / 30),
-    historicalMid: historicalTotal,
-    historicalHigh: Math.floor(daysSinceStart * aiHigh / 30),
-    daysSinceStart,
-    startDate: '2023-01-01'
-  };
+  const errors = [];
+  for (const [flow, key, result] of await Promise.all(requests)) {
+    if (!result.history) {
+      errors.push(`${flow}.${key}: ${result.error}`);
+      liveData.flows[flow][key] = { ...liveData.flows[flow][key], error: result.error };
+    } else {
+      liveData.flows[flow][key] = {
+        value: result.latest,
+        date: result.date,
+        history: result.history,
+        ...(result.stale && { stale: true, error: result.error })
+      };
+    }
+  }
   
-  console.log('[CALC] Results:');
-  console.log(`  Total monthly layoffs: ${totalMonthly.toLocaleString()}`);
-  console.log(`  AI-attributed (range): ${Math.round(aiLow).toLocaleString()} - ${Math.round(aiHigh).toLocaleString()}`);
-  console.log(`  AI rate (range): ${liveData.calculated.aiRateLow}% - ${liveData.calculated.aiRateHigh}%`);
-  console.log(`  Per day (mid): ${Math.round(perDayMid).toLocaleString()}`);
-  console.log(`  Since Jan 2023: ${historicalTotal.toLocaleString()} (mid estimate)`);
+  liveData.flows.errors = errors;
+  console.log(`[DATA] Hires/quits/openings: ${requests.length - errors.length}/${requests.length} series`);
 }
 
 // ============================================================================
-// LIVE COUNTER
+// AI DISPLACEMENT CALCULATION (Research-Based Model)
 // ============================================================================
 
-class Counter {
-  constructor() {
-    this.value = 0;
-    this.fraction = 0;
-    this.lastTick = Date.now();
-    this.initialized = false;
+function calculateAIDisplacement() {
+  console.log('[CALC] Computing AI displacement estimates...');
+  
+  const result = computeMetrics(liveData.fred);
+  if (!result) {
+    console.log('[CALC] No data available');
+    return;
   }
   
-  initialize() {
-    if (liveData.calculated.historicalMid > 0) {
-      this.value = liveData.calculated.historicalMid;
-      this.initialized = true;
-      console.log(`[COUNTER] Initialized at ${this.value.toLocaleString()}`);
-    }
+  const { calculated, monthly } = result;
+  liveData.calculated = calculated;
+  liveData.monthly = monthly;
+  liveData.reconciliation = reconcileSectors(liveData.fred);
+  liveData.sectors = computeSectorBreakdown(liveData.fred);
+  liveData.suppression = config.model.suppression.enabled
+    ? computeSuppression(liveData.flows, AI_EXPOSURE_MODEL, config.model.suppression)
+    : null;
+  
+  const applied = nowcaster.ingestReleases(monthly);
+  if (applied > 0) {
+    const estimate = nowcaster.getEstimate();
+    console.log(`[NOWCAST] Applied ${applied} release(s) through ${estimate.lastRelease}: ` +
+      `${Math.round(estimate.rate).toLocaleString()}/day ± ${Math.round(estimate.stdDev).toLocaleString()}`);
   }
   
-  tick() {
-    if (!this.initialized && liveData.calculated.historicalMid > 0) {
-      this.initialize();
-    }
-    
-    const now = Date.now();
-    const elapsed = (now - this.lastTick) / 1000;
-    this.lastTick = now;
+  console.log('[CALC] Results:');
+  console.log(`  Total monthly layoffs: ${calculated.totalMonthly.toLocaleString()}`);
+  console.log(`  AI-attributed (range): ${calculated.aiLow.toLocaleString()} - ${calculated.aiHigh.toLocaleString()}`);
+  console.log(`  AI rate (range): ${calculated.aiRateLow}% - ${calculated.aiRateHigh}%`);
+  console.log(`  Per day (mid): ${calculated.perDayMid.toLocaleString()}`);
+  console.log(`  Since Jan 2023: ${calculated.historicalMid.toLocaleString()} (mid estimate)`);
+  const latestCheck = liveData.reconciliation[liveData.reconciliation.length - 1];
+  if (latestCheck) {
+    const flag = Math.abs(latestCheck.residualPct) > config.model.reconciliationTolerance ? ' ⚠' : '';
+    console.log(`  Sector residual (${latestCheck.month}): ${latestCheck.residual.toLocaleString()} ` +
+      `(${latestCheck.residualPct.toFixed(1)}% of total)${flag}`);
+  }
+  if (liveData.suppression) {
+    const { cumulative, sectors } = liveData.suppression;
+    console.log(`  Hiring suppression (${sectors.join(', ')}): ${cumulative.mid.toLocaleString()} jobs not created (mid)`);
+  }
+  
+  refreshUncertainty();
+}
+
+// Monte Carlo bands take about a second at the default sample count, so
+// they are recomputed in the background (in batches, between ticks) and
+// the previous bands are served until the new ones are ready. A newer run
+// supersedes one still in progress.
+let uncertaintyRun = 0;
+
+// Custom /api/uncertainty runs, valid until the data or the model changes
+const uncertaintyCache = new Map();
+
+async function refreshUncertainty() {
+  const run = ++uncertaintyRun;
+  uncertaintyCache.clear();
+  
+  // Admin edits mutate these in place and fetches replace series, so draw from a copy
+  const fred = { ...liveData.fred };
+  const params = { exposure: JSON.parse(JSON.stringify(AI_EXPOSURE_MODEL)) };
+  
+  try {
+    const bands = await simulateInBatches(fred, params, config.model.uncertainty);
+    if (run !== uncertaintyRun) return;
     
-    const rate = liveData.calculated.perSecond || 0;
-    if (rate > 0) {
-      // Add small natural variation
-      const jitter = 1 + (Math.random() - 0.5) * 0.2;
-      this.fraction += rate * elapsed * jitter;
-      
-      while (this.fraction >= 1) {
-        this.value++;
-        this.fraction--;
-      }
+    liveData.uncertainty = bands;
+    if (bands) {
+      const { cumulative, samples } = bands;
+      console.log(`[CALC] 90% band (${samples} draws): ${cumulative.p5.toLocaleString()} - ${cumulative.p95.toLocaleString()}`);
     }
-    
-    return this.getState();
+  } catch (err) {
+    console.error('[CALC] Monte Carlo run failed:', err.message);
   }
-  
-  getState() {
+}
+
+// ============================================================================
+// LIVE COUNTER
+// ============================================================================
+
+/**
+ * The counter as clients see it: the shared anchor (src/model/counter.js)
+ * plus the current ranges, methodology and suppression counter
+ */
+class LiveCounter extends Counter {
+  getState(now = Date.now()) {
     const calc = liveData.calculated;
     const fred = liveData.fred;
+    const anchor = this.anchor || {};
+    const bands = liveData.uncertainty;
+    const value = this.valueAt(now);
     
     return {
       // Main counter (midpoint estimate)
-      counter: this.value,
-      counterDecimal: this.value + this.fraction,
+      counter: Math.floor(value),
+      counterDecimal: value,
       
-      // Range for transparency
-      counterLow: calc.historicalLow,
-      counterHigh: calc.historicalHigh,
+      // Range for transparency: Monte Carlo 90% band, or the fixed low/high sums
+      counterLow: bands ? bands.cumulative.p5 : calc.historicalLow,
+      counterHigh: bands ? bands.cumulative.p95 : calc.historicalHigh,
       
-      // Rates
-      perSecond: calc.perSecond,
-      perDay: calc.perDayMid,
-      perDayLow: calc.perDayLow,
-      perDayHigh: calc.perDayHigh,
+      // Rates (smoothed nowcast as of the anchor, with the model's latest-month range)
+      perSecond: anchor.perSecond || 0,
+      perDay: anchor.perDay || 0,
+      perDayStdDev: anchor.perDayStdDev ?? null,
+      perDayLow: bands ? bands.daily.p5 : calc.perDayLow,
+      perDayHigh: bands ? bands.daily.p95 : calc.perDayHigh,
       
       // Methodology info (for API, not shown in main UI)
       methodology: {
@@ -370,15 +473,170 @@ class Counter {
         totalMonthlyLayoffs: calc.totalMonthly,
         aiRateRange: `${calc.aiRateLow}%-${calc.aiRateHigh}%`,
         model: 'Industry-weighted AI exposure model',
-        startDate: calc.startDate
+        rateModel: 'Kalman-filtered nowcast of JOLTS releases',
+        rangeModel: bands ? `Monte Carlo p5-p95 (${bands.samples} draws)` : 'Sum of sector low/high rates',
+        modelVersion: versions.getCurrentVersion()?.id || null,
+        startDate: calc.startDate,
+        anchoredAt: this.anchor ? new Date(this.anchor.at).toISOString() : null
       },
       
-      updatedAt: new Date().toISOString()
+      // Jobs not created in high-exposure sectors - kept apart from the layoffs counter
+      suppression: suppressionState(),
+      
+      updatedAt: new Date(now).toISOString()
     };
   }
 }
 
-const counter = new Counter();
+const counter = new LiveCounter();
+
+// Model updates, revisions and anchors to and from other instances
+// (connected in initialize)
+let pubsub = null;
+
+// Moves, stores and shares the anchor; the lease holder owns rate updates
+const anchors = new AnchorSync({ counter, store, instanceId: config.pubsub.instanceId, rate: liveRate });
+
+/**
+ * Hiring suppression counter, advanced since its last computation at the
+ * latest month's daily rate (the extrapolation integrateCumulative uses)
+ */
+function suppressionState() {
+  const suppression = liveData.suppression;
+  if (!suppression) return null;
+  
+  const elapsedDays = (Date.now() - Date.parse(suppression.computedAt)) / 86400000;
+  return {
+    counter: suppression.cumulative.mid + suppression.perDayMid * elapsedDays,
+    counterLow: suppression.cumulative.low,
+    counterHigh: suppression.cumulative.high,
+    perDay: Math.round(suppression.perDayMid),
+    through: suppression.cumulative.through,
+    sectors: suppression.sectors
+  };
+}
+
+// ============================================================================
+// PERSISTENCE
+// ============================================================================
+
+// How often the live counter value is written to the store
+const PERSIST_INTERVAL = 10 * 1000;
+
+/**
+ * Load the last FRED snapshot, calculated results and counter value
+ * from the store so the counter resumes where the previous process left off.
+ */
+function restorePersisted() {
+  if (registry.restore(store.getRegistry())) {
+    console.log('[STORE] Restored admin-edited company registry and exposure model');
+  }
+  
+  const anchor = store.getJoltsAnchor();
+  if (anchor?.fred?.fetchedAt) {
+    liveData.fred = { ...liveData.fred, ...anchor.fred };
+    liveData.monthly = buildMonthlySeries(liveData.fred);
+    console.log(`[STORE] Restored FRED snapshot from ${anchor.fred.fetchedAt}`);
+  }
+  if (anchor?.flows) {
+    liveData.flows = { ...liveData.flows, ...anchor.flows };
+  }
+  
+  const saved = store.getState();
+  if (nowcaster.restore(saved.nowcast)) {
+    console.log(`[STORE] Restored nowcast through ${nowcaster.lastRelease}`);
+  }
+  if (saved.calculated?.historicalMid > 0) {
+    liveData.calculated = saved.calculated;
+    console.log('[STORE] Restored calculated results');
+  }
+  
+  const counterAnchor = store.getCounterAnchor();
+  if (counter.adopt(counterAnchor)) {
+    console.log(`[COUNTER] Restored at ${counter.value.toLocaleString()} ` +
+      `(anchored ${new Date(counterAnchor.at).toISOString()}, ${counterAnchor.reason})`);
+  } else if (store.getCounters().ai > 0 && saved.counterSavedAt) {
+    // Stores written before anchors: resume from the last persisted value
+    // at the restored rate; anchors.refresh stores it as the first anchor
+    counter.adopt({
+      value: store.getCounters().ai,
+      at: Date.parse(saved.counterSavedAt),
+      ...rateFields(liveRate()),
+      reason: 'restored from persisted counter',
+      origin: config.pubsub.instanceId,
+      revisions: []
+    });
+    console.log(`[COUNTER] Restored at ${counter.value.toLocaleString()} from the persisted counter`);
+  }
+}
+
+// Only the anchor's owner writes the counter and nowcast, so replicas do
+// not overwrite each other's state every interval
+async function persistCounter() {
+  if (!counter.initialized || !anchors.leader) return;
+  
+  await store.setCounters(
+    liveData.calculated.historicalAllLayoffs || 0,
+    counter.valueAt()
+  );
+  await store.setState({
+    calculated: liveData.calculated,
+    nowcast: nowcaster.toJSON()
+  });
+}
+
+async function persistSnapshot() {
+  await store.setJoltsAnchor({ fred: liveData.fred, flows: liveData.flows });
+  await persistCounter();
+}
+
+// ============================================================================
+// EVENT INGESTION
+// ============================================================================
+
+async function ingestWarn() {
+  try {
+    const { added } = await ingestWarnNotices();
+    if (added.length > 0) {
+      console.log(`[WARN] Stored ${added.length} new notice(s)`);
+      publishEvents(added);
+    }
+  } catch (err) {
+    console.error('[WARN] Ingestion failed:', err.message);
+  }
+}
+
+async function ingestLayoffs() {
+  try {
+    const { added } = await ingestLayoffAnnouncements();
+    if (added.length > 0) {
+      console.log(`[LAYOFFS] Stored ${added.length} new announcement(s)`);
+      publishEvents(added);
+    }
+    await calibrateFromAnnouncements();
+  } catch (err) {
+    console.error('[LAYOFFS] Ingestion failed:', err.message);
+  }
+}
+
+/**
+ * Feed AI-tagged announcements into the nowcast as a noisy daily signal.
+ * Applied at most once a day, and only after JOLTS has anchored the filter.
+ */
+async function calibrateFromAnnouncements() {
+  const now = Date.now();
+  if (nowcaster.observations === 0 || !anchors.leader) return;
+  if (nowcaster.lastSignalAt && now - nowcaster.lastSignalAt < 24 * 60 * 60 * 1000) return;
+  
+  const events = await store.getEvents({ days: 30, limit: Infinity });
+  const signal = announcementSignal(events, { now });
+  if (signal.events < config.model.announcementMinEvents) return;
+  
+  const { gain } = nowcaster.observeSignal(signal.dailyRate, config.model.announcementSignalNoise, now);
+  console.log(`[NOWCAST] Announcement signal ${Math.round(signal.dailyRate).toLocaleString()}/day ` +
+    `from ${signal.events} tagged event(s), gain ${gain.toFixed(2)}`);
+  await anchors.refresh('announcement signal', liveData.calculated.historicalMid);
+}
 
 // ============================================================================
 // INITIALIZATION
@@ -392,11 +650,38 @@ async function initialize() {
   console.log('╚══════════════════════════════════════════════════════════════════╝');
   console.log('');
   
+  await store.initialize();
+  pubsub = await createPubSub({ ...config.pubsub, url: config.redis.url });
+  await subscribeToPeers();
+  restorePersisted();
+  
+  const version = await versions.ensureCurrentVersion({ reason: 'Parameters at startup' });
+  console.log(`[MODEL] Running model version ${version.id} (${version.hash})`);
+  
+  await anchors.claim();
   await fetchAllData();
-  counter.initialize();
+  await persistCounter();
+  
+  ingestWarn();
+  ingestLayoffs();
 }
 
-initialize();
+initialize().catch(err => {
+  console.error('[INIT] Startup failed:', err);
+  process.exit(1);
+});
+
+// WARN notices (hourly by default)
+setInterval(ingestWarn, config.fetchIntervals.warn);
+
+// Layoff announcements (every 10 minutes by default)
+setInterval(ingestLayoffs, config.fetchIntervals.layoffs);
+
+// Renews the anchor lease (or takes it over from a stopped owner) as well
+setInterval(async () => {
+  await anchors.claim();
+  await persistCounter();
+}, PERSIST_INTERVAL);
 
 // Refresh every 6 hours
 setInterval(fetchAllData, 6 * 60 * 60 * 1000);
@@ -405,33 +690,756 @@ setInterval(fetchAllData, 6 * 60 * 60 * 1000);
 // WEBSOCKET
 // ============================================================================
 
+// Protocol versions, channels, deltas and per-client rates: src/stream/protocol.js.
+// SSE sessions (src/stream/sse.js) share the set and the tick loop.
 const clients = new Set();
 
-wss.on('connection', (ws) => {
-  clients.add(ws);
-  ws.send(JSON.stringify({ type: 'init', data: counter.getState() }));
-  ws.on('close', () => clients.delete(ws));
-  ws.on('error', () => clients.delete(ws));
+// Model events with ids, for SSE Last-Event-ID resume
+const eventLog = new EventLog(config.stream.replayLimit);
+
+// Company attribution shares for company:<slug> channels. Deployment
+// maturity moves slowly, so they are recomputed at most once a minute
+// (and after admin edits, see handleModelChange).
+const COMPANY_SHARES_TTL = 60 * 1000;
+let companySharesCache = { at: 0, shares: null };
+
+function companyShares(now = Date.now()) {
+  if (!companySharesCache.shares || now - companySharesCache.at > COMPANY_SHARES_TTL) {
+    const scored = scoreCompanies(US_AI_COMPANIES, new Date(now)).sort((a, b) => b.rawScore - a.rawScore);
+    const totalRaw = scored.reduce((sum, c) => sum + c.rawScore, 0);
+    const shares = new Map(scored.map((company, index) => [slugify(company.name), {
+      name: company.name,
+      rank: index + 1,
+      share: totalRaw > 0 ? company.rawScore / totalRaw : 0
+    }]));
+    companySharesCache = { at: now, shares };
+  }
+  return companySharesCache.shares;
+}
+
+// The sector or company behind a sector:<name> or company:<slug> channel
+function lookupChannel(channel) {
+  return channelEntry(channel, {
+    sectors: liveData.sectors,
+    companies: channel.startsWith('company:') ? companyShares() : new Map()
+  });
+}
+
+// Validates sector:<name> and company:<slug> channel names
+function isKnownChannel(channel) {
+  return lookupChannel(channel) !== null;
+}
+
+function sectorView(name, sector, national) {
+  return {
+    sector: name,
+    ...scaleCounter(national, sector.share),
+    exposure: sector.exposure,
+    latestMonth: sector.latest,
+    updatedAt: national.updatedAt
+  };
+}
+
+function companyView(slug, company, national) {
+  const { share } = company;
+  return {
+    company: slug,
+    name: company.name,
+    rank: company.rank,
+    share,
+    ...scaleCounter(national, {
+      cumulativeLow: share, cumulativeMid: share, cumulativeHigh: share,
+      latestLow: share, latestMid: share, latestHigh: share
+    }),
+    updatedAt: national.updatedAt
+  };
+}
+
+/**
+ * Current state of a streamed channel (null once its sector or company is
+ * gone), memoized so each channel is computed once per tick however many
+ * clients follow it
+ */
+function channelResolver(national) {
+  const cache = new Map();
+  const compute = (channel) => {
+    if (channel === 'counter') return national;
+    const name = channel.slice(channel.indexOf(':') + 1);
+    const entry = lookupChannel(channel);
+    if (!entry) return null;
+    return channel.startsWith('sector:') ? sectorView(name, entry, national) : companyView(name, entry, national);
+  };
+  return (channel) => {
+    if (!cache.has(channel)) cache.set(channel, compute(channel));
+    return cache.get(channel);
+  };
+}
+
+wss.on('connection', (ws, req) => {
+  const { version, options, error } = parseConnectUrl(req.url);
+  const session = new ClientSession(ws, { version, options });
+  clients.add(session);
+  
+  if (error) session.sendError(error);
+  session.sendSnapshots(channelResolver(counter.getState()));
+  
+  // A failure here must not escape the socket callback and take the process down
+  ws.on('message', (raw) => {
+    try {
+      const channels = session.handleMessage(raw, isKnownChannel);
+      if (channels.length > 0) {
+        const resolve = channelResolver(counter.getState());
+        channels.forEach(channel => session.sendSnapshot(channel, resolve(channel)));
+      }
+    } catch (err) {
+      console.error('[WS] Message handling failed:', err.message);
+      session.sendError('Internal error');
+    }
+  });
+  ws.on('close', () => clients.delete(session));
+  ws.on('error', () => clients.delete(session));
 });
 
 setInterval(() => {
-  const state = counter.tick();
-  const msg = JSON.stringify({ type: 'tick', data: state });
-  clients.forEach(ws => ws.readyState === 1 && ws.send(msg));
-}, 100);
+  const resolve = channelResolver(counter.getState());
+  const now = Date.now();
+  const frames = {};
+  clients.forEach(session => session.update(resolve, now, frames));
+}, TICK_MS);
+
+/**
+ * Tell model-updates subscribers about a model or data change, then send
+ * every client fresh snapshots of its streams (a discontinuity no delta
+ * should paper over)
+ */
+function broadcastEvent(type, data) {
+  const { id } = eventLog.append(type, data);
+  const resolve = channelResolver(counter.getState());
+  clients.forEach(session => {
+    session.sendEvent('model-updates', type, data, id);
+    session.sendSnapshots(resolve);
+  });
+}
+
+/**
+ * Push newly stored WARN notices and layoff announcements to events subscribers
+ */
+function publishEvents(events) {
+  for (const event of events) {
+    clients.forEach(session => session.sendEvent('events', 'event', event));
+  }
+}
+
+// ============================================================================
+// SERVER-SENT EVENTS
+// ============================================================================
+
+/**
+ * The v1 WebSocket payloads (init, tick, model events) over SSE, for
+ * clients whose proxies strip WebSocket upgrades
+ */
+app.get('/api/stream', (req, res) => {
+  const { options, error } = parseSubscribe({ rate: req.query.rate });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
+  req.socket.setNoDelay(true);
+  const session = new SseSession(res, {
+    log: eventLog,
+    rate: options.rate,
+    heartbeatMs: config.stream.sseHeartbeatMs
+  });
+  clients.add(session);
+  
+  session.resume(req.get('last-event-id'));
+  session.sendSnapshot('counter', counter.getState());
+  
+  res.on('close', () => clients.delete(session));
+});
+
+// ============================================================================
+// MODEL UPDATES
+// ============================================================================
+
+/**
+ * Recalculate after an admin edit and tell connected clients.
+ * Exposure changes alter the whole history, so the nowcast is replayed
+ * and the counter re-anchored to the new cumulative total.
+ */
+async function handleModelChange(entry) {
+  console.log(`[ADMIN] ${entry.actor}: ${entry.action} ${entry.target}`);
+  
+  if (entry.action.startsWith('exposure.')) {
+    nowcaster.reset();
+    calculateAIDisplacement();
+    if (liveData.calculated.historicalMid > 0) {
+      await anchors.move(liveData.calculated.historicalMid, `${entry.action} ${entry.target}`);
+    }
+    await persistSnapshot();
+  }
+  
+  await announceModelChange(entry);
+  await pubsub?.publish('model-update', entry);
+}
+
+/**
+ * The same for an edit made on another instance, which has already stored
+ * the registry, the model version and the new anchor
+ */
+async function handleRemoteModelChange(entry, origin) {
+  console.log(`[PUBSUB] ${origin}: ${entry.action} ${entry.target}`);
+  
+  await store.reloadModel();
+  registry.restore(store.getRegistry());
+  if (entry.action.startsWith('exposure.')) {
+    nowcaster.reset();
+    calculateAIDisplacement();
+  }
+  await anchors.sync();
+  
+  await announceModelChange(entry);
+}
+
+async function announceModelChange(entry) {
+  companySharesCache = { at: 0, shares: null };
+  companyMonthlyCache = { key: null, shares: null };
+  
+  const version = await versions.ensureCurrentVersion({
+    actor: entry.actor,
+    reason: `${entry.action} ${entry.target}`
+  });
+  // Company edits change attribution without changing the model version
+  refreshSensitivity();
+  
+  broadcastEvent('model-update', {
+    action: entry.action,
+    target: entry.target,
+    at: entry.at,
+    modelVersion: version.id
+  });
+}
+
+/**
+ * Listen for the other instances: anchors are adopted as they move, model
+ * edits and revisions are recomputed and passed on to this instance's clients
+ */
+async function subscribeToPeers() {
+  await anchors.connect(pubsub);
+  await pubsub.subscribe('model-update', handleRemoteModelChange);
+  await pubsub.subscribe('revision', async (event, origin) => {
+    console.log(`[PUBSUB] ${origin}: JOLTS revision ${event.id}`);
+    await anchors.sync();
+    broadcastEvent('revision', event);
+  });
+}
 
 // ============================================================================
 // REST API
 // ============================================================================
 
+app.use('/api/admin', createAdminRouter({ onChange: handleModelChange }));
+
+/**
+ * Metrics recomputed from the current FRED data under a stored model
+ * version. Deterministic: the counter is the integrated mid estimate and
+ * the rate is the latest month's, with no nowcast smoothing.
+ */
+function versionedState(version, now = new Date()) {
+  const result = computeMetrics(liveData.fred, version.params, now);
+  if (!result) return null;
+  
+  const calc = result.calculated;
+  return {
+    counter: Math.floor(calc.historicalMid),
+    counterDecimal: calc.historicalMid,
+    counterLow: calc.historicalLow,
+    counterHigh: calc.historicalHigh,
+    perSecond: calc.perSecond,
+    perDay: calc.perDayMid,
+    perDayStdDev: null,
+    perDayLow: calc.perDayLow,
+    perDayHigh: calc.perDayHigh,
+    methodology: {
+      source: 'BLS JOLTS via FRED',
+      dataPeriod: liveData.fred.total?.date,
+      totalMonthlyLayoffs: calc.totalMonthly,
+      aiRateRange: `${calc.aiRateLow}%-${calc.aiRateHigh}%`,
+      model: 'Industry-weighted AI exposure model',
+      rateModel: 'Latest JOLTS month (deterministic recompute)',
+      modelVersion: version.id,
+      parametersHash: version.hash,
+      startDate: calc.startDate
+    },
+    reproducibility: {
+      fredFetchedAt: liveData.fred.fetchedAt || null,
+      historicalThrough: calc.historicalThrough,
+      computedAt: now.toISOString()
+    },
+    updatedAt: now.toISOString()
+  };
+}
+
 app.get('/api/metrics/current', (req, res) => {
-  res.json(counter.getState());
+  if (req.query.modelVersion === undefined) {
+    return res.json(counter.getState());
+  }
+  
+  const version = versions.getVersion(String(req.query.modelVersion));
+  if (!version) {
+    return res.status(404).json({ error: `Unknown model version "${req.query.modelVersion}"` });
+  }
+  
+  const state = versionedState(version);
+  if (!state) {
+    return res.status(503).json({ error: 'No JOLTS data loaded yet' });
+  }
+  res.json(state);
+});
+
+app.get('/api/models', (req, res) => {
+  res.json({
+    current: versions.getCurrentVersion()?.id || null,
+    versions: versions.listVersions().map(versions.summarizeVersion)
+  });
+});
+
+app.get('/api/models/diff', (req, res) => {
+  const current = versions.getCurrentVersion();
+  const a = versions.getVersion(String(req.query.a || ''));
+  const b = req.query.b !== undefined ? versions.getVersion(String(req.query.b)) : current;
+  
+  if (!req.query.a) {
+    return res.status(400).json({ error: 'Query parameter "a" is required' });
+  }
+  if (!a) return res.status(404).json({ error: `Unknown model version "${req.query.a}"` });
+  if (!b) return res.status(404).json({ error: `Unknown model version "${req.query.b}"` });
+  
+  const changes = versions.diffVersions(a, b);
+  res.json({
+    a: versions.summarizeVersion(a),
+    b: versions.summarizeVersion(b),
+    identical: changes.length === 0,
+    changes
+  });
+});
+
+app.get('/api/models/:id', (req, res) => {
+  const version = versions.getVersion(req.params.id);
+  if (!version) {
+    return res.status(404).json({ error: `Unknown model version "${req.params.id}"` });
+  }
+  res.json({ ...version, current: version.id === versions.getCurrentVersion()?.id });
+});
+
+// The live figures a scenario is compared against
+function liveSummary() {
+  return {
+    modelVersion: versions.getCurrentVersion()?.id || null,
+    historicalMid: liveData.calculated.historicalMid,
+    perDayMid: liveData.calculated.perDayMid
+  };
+}
+
+// Anyone can run a scenario, but saved ones share a capped store where the
+// oldest are evicted first, so saving needs the admin key
+app.post('/api/scenarios', (req, res, next) => {
+  if (req.body?.save === true) return requireApiKey(req, res, next);
+  next();
+}, async (req, res, next) => {
+  try {
+    const baseId = req.body?.baseVersion;
+    const base = baseId !== undefined ? versions.getVersion(String(baseId)) : versions.getCurrentVersion();
+    if (!base) {
+      return res.status(404).json({ error: `Unknown model version "${baseId}"` });
+    }
+    
+    const { value, errors } = scenarios.resolveScenario(req.body, base);
+    if (errors) return res.status(400).json({ errors });
+    
+    const now = new Date();
+    const result = scenarios.runScenario(value.params, { fred: liveData.fred, companies: US_AI_COMPANIES, now });
+    if (!result) {
+      return res.status(503).json({ error: 'No JOLTS data loaded yet' });
+    }
+    
+    const scenario = { id: null, createdAt: now.toISOString(), ...value };
+    if (req.body.save === true) {
+      scenario.id = scenarios.createScenarioId();
+      await store.addScenario(scenario);
+    }
+    
+    res.status(scenario.id ? 201 : 200).json({
+      ...scenario,
+      live: liveSummary(),
+      result
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+app.get('/api/scenarios/:id', (req, res) => {
+  const scenario = store.getScenario(req.params.id);
+  if (!scenario) {
+    return res.status(404).json({ error: `Unknown scenario "${req.params.id}"` });
+  }
+  
+  // Re-run with the saved parameters against the current data
+  const result = scenarios.runScenario(scenario.params, { fred: liveData.fred, companies: US_AI_COMPANIES });
+  if (!result) {
+    return res.status(503).json({ error: 'No JOLTS data loaded yet' });
+  }
+  
+  res.json({
+    ...scenario,
+    live: liveSummary(),
+    result
+  });
+});
+
+// Custom Monte Carlo runs cost about a millisecond per draw, so like
+// custom sensitivity reports they need the admin key. They run in batches
+// between ticks and are cached per inputs and model version (see
+// uncertaintyCache); concurrent identical requests share one run.
+const MC_MAX_SAMPLES = 2000;
+const MC_CACHE_SIZE = 20;
+
+function cachedSimulation(version, options) {
+  const key = JSON.stringify([version.id, options.samples, options.seed, options.correlation, options.revisionError]);
+  if (!uncertaintyCache.has(key)) {
+    if (uncertaintyCache.size >= MC_CACHE_SIZE) {
+      uncertaintyCache.delete(uncertaintyCache.keys().next().value);
+    }
+    const run = simulateInBatches({ ...liveData.fred }, version.params, options);
+    run.catch(() => uncertaintyCache.delete(key));
+    uncertaintyCache.set(key, run);
+  }
+  return uncertaintyCache.get(key);
+}
+
+function isCustomUncertainty(query) {
+  return ['samples', 'seed', 'correlation', 'revisionError', 'modelVersion'].some(key => query[key] !== undefined);
+}
+
+app.get('/api/uncertainty', (req, res, next) => {
+  if (isCustomUncertainty(req.query)) return requireApiKey(req, res, next);
+  next();
+}, async (req, res, next) => {
+  const { samples, seed, correlation, revisionError, modelVersion } = req.query;
+  
+  if (!isCustomUncertainty(req.query)) {
+    if (!liveData.uncertainty) {
+      const error = liveData.calculated.totalMonthly ? 'Uncertainty bands are still being computed' : 'No JOLTS data loaded yet';
+      return res.status(503).json({ error });
+    }
+    return res.json({ modelVersion: versions.getCurrentVersion()?.id || null, ...liveData.uncertainty });
+  }
+  
+  const defaults = config.model.uncertainty;
+  const options = {
+    samples: samples !== undefined ? Number(samples) : defaults.samples,
+    seed: seed !== undefined ? Number(seed) : defaults.seed,
+    correlation: correlation !== undefined ? Number(correlation) : defaults.correlation,
+    revisionError: revisionError !== undefined ? Number(revisionError) : defaults.revisionError
+  };
+  
+  if (!Number.isInteger(options.samples) || options.samples < 100 || options.samples > MC_MAX_SAMPLES) {
+    return res.status(400).json({ error: `samples must be an integer between 100 and ${MC_MAX_SAMPLES}` });
+  }
+  if (!Number.isInteger(options.seed)) {
+    return res.status(400).json({ error: 'seed must be an integer' });
+  }
+  if (!(options.correlation >= 0 && options.correlation <= 1)) {
+    return res.status(400).json({ error: 'correlation must be between 0 and 1' });
+  }
+  if (!(options.revisionError >= 0 && options.revisionError <= 0.5)) {
+    return res.status(400).json({ error: 'revisionError must be between 0 and 0.5' });
+  }
+  
+  const version = modelVersion !== undefined ? versions.getVersion(String(modelVersion)) : versions.getCurrentVersion();
+  if (!version) {
+    return res.status(404).json({ error: `Unknown model version "${modelVersion}"` });
+  }
+  
+  try {
+    const result = await cachedSimulation(version, options);
+    if (!result) {
+      return res.status(503).json({ error: 'No JOLTS data loaded yet' });
+    }
+    res.json({ modelVersion: version.id, ...result });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Sensitivity reports take seconds (samples × (parameters + 2) model
+// evaluations). The public report uses the defaults and is precomputed
+// in the background whenever the data or the model changes; other
+// settings need the admin key, are capped lower and are cached per
+// inputs. All of them run in batches between ticks.
+const SENSITIVITY_DEFAULTS = { delta: 0.2, samples: 64, seed: 1 };
+const SENSITIVITY_MAX_SAMPLES = 128;
+const SENSITIVITY_CACHE_SIZE = 10;
+const sensitivityReports = new Map();
+
+function sensitivityReport(version, options) {
+  const key = JSON.stringify([version.id, liveData.fred.fetchedAt, options.delta, options.samples, options.seed]);
+  if (!sensitivityReports.has(key)) {
+    if (sensitivityReports.size >= SENSITIVITY_CACHE_SIZE) {
+      sensitivityReports.delete(sensitivityReports.keys().next().value);
+    }
+    // The registry is edited in place, so analyze a copy
+    const companies = US_AI_COMPANIES.map(company => ({ ...company }));
+    const run = analyzeSensitivityInBatches({ ...liveData.fred }, companies, version.params, options);
+    run.catch(() => sensitivityReports.delete(key));
+    sensitivityReports.set(key, run);
+  }
+  return sensitivityReports.get(key);
+}
+
+// Drop every cached report and start the public one
+function refreshSensitivity() {
+  sensitivityReports.clear();
+  const version = versions.getCurrentVersion();
+  if (!version || !liveData.calculated.totalMonthly) return;
+  
+  sensitivityReport(version, SENSITIVITY_DEFAULTS).catch(err => {
+    console.error('[CALC] Sensitivity analysis failed:', err.message);
+  });
+}
+
+function isCustomSensitivity(query) {
+  return ['delta', 'samples', 'seed', 'modelVersion'].some(key => query[key] !== undefined);
+}
+
+app.get('/api/sensitivity', (req, res, next) => {
+  if (isCustomSensitivity(req.query)) return requireApiKey(req, res, next);
+  next();
+}, async (req, res, next) => {
+  const delta = req.query.delta !== undefined ? Number(req.query.delta) : SENSITIVITY_DEFAULTS.delta;
+  const samples = req.query.samples !== undefined ? Number(req.query.samples) : SENSITIVITY_DEFAULTS.samples;
+  const seed = req.query.seed !== undefined ? Number(req.query.seed) : SENSITIVITY_DEFAULTS.seed;
+  const top = req.query.top !== undefined ? Number(req.query.top) : 3;
+  
+  if (!(delta > 0 && delta < 1)) {
+    return res.status(400).json({ error: 'delta must be between 0 and 1 (exclusive)' });
+  }
+  if (!Number.isInteger(samples) || samples < 16 || samples > SENSITIVITY_MAX_SAMPLES) {
+    return res.status(400).json({ error: `samples must be an integer between 16 and ${SENSITIVITY_MAX_SAMPLES}` });
+  }
+  if (!Number.isInteger(seed)) {
+    return res.status(400).json({ error: 'seed must be an integer' });
+  }
+  if (!Number.isInteger(top) || top < 1) {
+    return res.status(400).json({ error: 'top must be a positive integer' });
+  }
+  
+  const version = req.query.modelVersion !== undefined
+    ? versions.getVersion(String(req.query.modelVersion))
+    : versions.getCurrentVersion();
+  if (!version) {
+    return res.status(404).json({ error: `Unknown model version "${req.query.modelVersion}"` });
+  }
+  
+  let report;
+  try {
+    report = await sensitivityReport(version, { delta, samples, seed });
+  } catch (err) {
+    return next(err);
+  }
+  if (!report) {
+    return res.status(503).json({ error: 'No JOLTS data loaded yet' });
+  }
+  
+  let companies = report.companies;
+  if (req.query.company) {
+    companies = companies.filter(c => c.slug === req.query.company);
+    if (!companies.length) {
+      return res.status(404).json({ error: `Unknown company "${req.query.company}"` });
+    }
+  } else {
+    // Only the leading Sobol indices per company; ?company= returns one in full
+    companies = companies.map(c => ({ slug: c.slug, name: c.name, base: c.base, sobol: c.sobol.slice(0, top) }));
+  }
+  
+  res.json({ modelVersion: version.id, ...report, companies });
+});
+
+app.get('/api/companies', (req, res) => {
+  const total = req.query.total !== undefined ? Number(req.query.total) : counter.value;
+  if (!Number.isFinite(total) || total < 0) {
+    return res.status(400).json({ error: 'total must be a non-negative number' });
+  }
+  
+  const asOf = new Date();
+  const companies = calculateDisplacementScores(US_AI_COMPANIES, Math.floor(total), asOf)
+    .map(company => ({
+      rank: company.rank,
+      slug: company.slug,
+      name: company.name,
+      industry: company.industry,
+      category: company.category,
+      categoryName: DISPLACEMENT_CATEGORIES[company.category]?.name || company.category,
+      valuation: company.valuation,
+      share: parseFloat(company.percentage),
+      percentage: company.percentage,
+      displacement: company.displacement,
+      factors: company.rawFactors,
+      factorLabels: company.factors,
+      defaults: company.defaults,
+      notes: company.notes
+    }));
+  
+  res.json({
+    total: Math.floor(total),
+    asOf: asOf.toISOString(),
+    model: 'Multi-factor company attribution model v2',
+    count: companies.length,
+    companies
+  });
 });
 
+// Monthly shares of every company, scored once per model version and day
+// rather than on every /api/companies/:slug request
+let companyMonthlyCache = { key: null, shares: null };
+
+function companyMonthlyShares(now) {
+  const key = `${versions.getCurrentVersion()?.id || 'none'}:${now.toISOString().slice(0, 10)}`;
+  if (companyMonthlyCache.key !== key) {
+    companyMonthlyCache = { key, shares: monthlyCompanyShares(US_AI_COMPANIES, now) };
+  }
+  return companyMonthlyCache.shares;
+}
+
+app.get('/api/companies/:slug', (req, res) => {
+  const slug = req.params.slug.toLowerCase();
+  const record = US_AI_COMPANIES.find(c => slugify(c.name) === slug);
+  if (!record) {
+    return res.status(404).json({ error: `Unknown company "${req.params.slug}"` });
+  }
+  if (record.retired) {
+    return res.status(410).json({ error: `Company "${slug}" has been retired`, retiredAt: record.retiredAt });
+  }
+  
+  const now = new Date();
+  const ranked = calculateDisplacementScores(US_AI_COMPANIES, counter.value, now);
+  const current = ranked.find(c => c.slug === slug);
+  const decomposition = decomposeCompanyShare(US_AI_COMPANIES, slug, now);
+  const months = expandCalendarMonths(liveData.monthly, now);
+  
+  res.json({
+    company: {
+      slug,
+      name: record.name,
+      industry: record.industry,
+      category: record.category,
+      categoryName: DISPLACEMENT_CATEGORIES[record.category]?.name || record.category,
+      valuation: record.valuation,
+      founded: record.founded,
+      productLaunch: record.productLaunch ? record.productLaunch.toISOString().slice(0, 10) : null,
+      displacementType: record.displacementType,
+      operationalStatus: record.operationalStatus,
+      enterpriseLevel: record.enterpriseLevel,
+      notes: record.notes
+    },
+    asOf: now.toISOString(),
+    rank: current?.rank ?? null,
+    share: decomposition.share,
+    displacement: current?.displacement ?? 0,
+    total: counter.value,
+    factors: decomposition.factors,
+    defaults: decomposition.defaults,
+    factorNote: 'contribution = share points added (negative: removed) by the factor versus leaving it neutral at 1.0',
+    monthly: {
+      startDate: AI_ERA_START.toISOString().slice(0, 10),
+      note: 'Each month applies that month\'s share to that month\'s AI-attributed total, so the cumulative figure differs from today\'s share × counter',
+      points: companyMonthlySeries(US_AI_COMPANIES, slug, months, now, companyMonthlyShares(now))
+    }
+  });
+});
+
+app.get('/api/events', async (req, res, next) => {
+  try {
+    const { options, error } = parseEventQuery(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    const { events, total, nextCursor } = await store.queryEvents(options);
+    res.json({
+      count: events.length,
+      total,
+      sort: options.sort,
+      nextCursor,
+      events
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+app.get('/api/history', (req, res) => {
+  const error = history.validateQuery(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
+  res.json({
+    ...history.queryHistory(liveData.monthly, req.query),
+    startDate: AI_START_DATE,
+    source: 'BLS JOLTS via FRED',
+    model: 'Industry-weighted AI exposure model'
+  });
+});
+
+/**
+ * Occupation-level derivation of each industry rate, flagging sectors whose
+ * live rate was since changed through the admin API
+ */
+function exposureDerivation() {
+  const round = value => Math.round(value * 10000) / 10000;
+  const describe = (rates, live) => ({
+    employmentThousands: Math.round(rates.employment),
+    derived: { low: round(rates.low), mid: round(rates.mid), high: round(rates.high) },
+    overridden: !live || round(rates.mid) !== live.mid || round(rates.low) !== live.low || round(rates.high) !== live.high,
+    occupations: rates.contributions.map(c => ({
+      soc: c.soc,
+      title: c.title,
+      employmentShare: round(c.employmentShare),
+      exposureMid: c.exposureMid,
+      contributionMid: round(c.contributionMid)
+    }))
+  });
+  
+  return {
+    ...EXPOSURE_DERIVATION.status,
+    method: 'Each industry rate is the employment-weighted mean of its occupations\' AI exposure (SOC major groups); "other" uses the economy-wide occupation mix',
+    files: [
+      `src/model/data/${occupations.EXPOSURE_FILE}`,
+      `src/model/data/${occupations.MATRIX_FILE}`,
+      `src/model/data/${occupations.SOURCES_FILE}`
+    ],
+    sources: EXPOSURE_DERIVATION.sources,
+    occupationScores: EXPOSURE_DERIVATION.occupations,
+    industries: Object.fromEntries(Object.entries(EXPOSURE_DERIVATION.industries)
+      .map(([industry, rates]) => [industry, describe(rates, AI_EXPOSURE_MODEL[industry])])),
+    other: describe(EXPOSURE_DERIVATION.other, AI_EXPOSURE_MODEL.other)
+  };
+}
+
+// Worked example of the formula at the live information-sector rate
+function calculationExample(layoffs = 50000) {
+  const rate = AI_EXPOSURE_MODEL.information?.mid ?? AI_EXPOSURE_MODEL.other.mid;
+  const sector = AI_EXPOSURE_MODEL.information ? 'Information sector' : 'Unrated sectors ("other")';
+  return `${sector}: ${layoffs.toLocaleString('en-US')} layoffs × ${(rate * 100).toFixed(2)}% AI rate = ` +
+    `${Math.round(layoffs * rate).toLocaleString('en-US')} AI-attributed`;
+}
+
 app.get('/api/methodology', (req, res) => {
   res.json({
     title: 'AI Job Displacement Estimation Methodology',
-    version: '2.0',
+    version: versions.getCurrentVersion()?.id || versions.BASE_VERSION,
     
     overview: 'This counter provides a research-based estimate of jobs displaced by AI in the United States since January 2023.',
     
@@ -447,6 +1455,8 @@ app.get('/api/methodology', (req, res) => {
     aiAttributionModel: {
       approach: 'Industry-weighted AI exposure model',
       description: 'We apply research-based AI exposure rates to industry-specific layoff data',
+      status: EXPOSURE_DERIVATION.status.provisional ? 'provisional' : 'published',
+      statusNote: EXPOSURE_DERIVATION.status.note,
       
       researchBasis: [
         {
@@ -471,20 +1481,67 @@ app.get('/api/methodology', (req, res) => {
         }
       ],
       
-      industryRates: AI_EXPOSURE_MODEL
+      industryRates: AI_EXPOSURE_MODEL,
+      derivation: exposureDerivation()
     },
     
     calculation: {
       formula: 'AI Displaced = Σ (Industry Layoffs × Industry AI Exposure Rate)',
-      example: 'Information sector: 50,000 layoffs × 18% AI rate = 9,000 AI-attributed',
-      rangeProvided: 'We show low/mid/high estimates to reflect uncertainty'
+      example: calculationExample(),
+      cumulative: 'Sum of each reported JOLTS month since January 2023; months not yet released are extrapolated at the latest month\'s daily rate',
+      missingData: 'A sector missing from a month is imputed from its average share of total layoffs',
+      reconciliation: 'All JOLTS supersectors are modelled individually. The residual between total nonfarm (JTSLDL) and the sector sum gets the "other" rate; when the sector sum exceeds the total, sectors are scaled down to it. See /api/reconciliation',
+      rangeProvided: 'We show low/mid/high estimates to reflect uncertainty',
+      liveRate: 'The per-second rate is a Kalman-filtered nowcast: each JOLTS release updates a latent daily rate, so a single release moves the counter speed only partially'
+    },
+    
+    uncertainty: {
+      method: 'Monte Carlo',
+      note: 'The displayed range is the 5th-95th percentile of simulated draws, not the sum of every sector\'s low or high rate. Each draw samples sector exposure rates from triangular(low, mid, high) distributions linked by a shared factor, and scales each JOLTS value by its sampling/revision error.',
+      samples: config.model.uncertainty.samples,
+      correlation: config.model.uncertainty.correlation,
+      revisionError: config.model.uncertainty.revisionError,
+      endpoint: '/api/uncertainty'
+    },
+    
+    hiringSuppression: {
+      enabled: config.model.suppression.enabled,
+      description: 'Separate counter of jobs not created in high-exposure sectors. Expected hires = the sector\'s pre-2023 share of total hires for that calendar month × total hires; the shortfall is netted across months and attributed to AI at the sector\'s exposure rate.',
+      sectors: `Sectors with a mid exposure rate of at least ${config.model.suppression.minExposure * 100}%`,
+      baseline: `${config.model.suppression.baselineStart} to ${config.model.suppression.baselineEnd}`,
+      endpoint: '/api/suppression'
+    },
+    
+    geography: {
+      description: 'Each month\'s sector estimates are allocated to the 50 states and DC by the state\'s share of the sector\'s employment; the "other" residual by its share of all employment. States add up to the national figure.',
+      files: [
+        `src/model/data/${geography.STATES_FILE}`,
+        `src/model/data/${geography.EMPLOYMENT_FILE}`,
+        `src/model/data/${geography.SOURCES_FILE}`
+      ],
+      provenance: stateProvenance(),
+      warnCalibration: config.model.geography.warnCalibration
+        ? `States with WARN notices are scaled by their WARN share over their modeled share, weighted n/(n + ${config.model.geography.credibility}) by notice count and renormalized so only the split between those states changes`
+        : 'Disabled',
+      endpoints: ['/api/states', '/api/states/:code']
+    },
+    
+    revisions: {
+      description: 'Every fetched JOLTS layoffs value is stored as a vintage (value, realtime_start, realtime_end), as in ALFRED. When a previously published month changes, its effect on the cumulative estimates is computed from the previous snapshot with only the revised values swapped in, and the counter moves by the mid delta.',
+      endpoints: ['/api/revisions', '/api/revisions/vintages?series=&month=']
+    },
+    
+    versioning: {
+      current: versions.getCurrentVersion()?.hash || null,
+      note: 'Every parameter change is recorded as a model version. /api/metrics/current?modelVersion=<id> recomputes the figures from the current JOLTS data under any stored version; /api/models/diff?a=&b= lists the parameters that changed.'
     },
     
     limitations: [
       'AI causation is probabilistic, not directly measured',
       'Does not capture indirect effects (companies failing due to AI competition)',
       'Does not capture job quality degradation (hours cut vs full layoffs)',
-      'Voluntary quits due to AI not captured in layoff data',
+      'Voluntary quits due to AI not captured in layoff data (quits vs baseline are reported as a diagnostic only)',
+      'Hiring suppression assumes high-exposure sectors would have kept their pre-2023 share of hires',
       'International job displacement not included'
     ],
     
@@ -492,10 +1549,186 @@ app.get('/api/methodology', (req, res) => {
   });
 });
 
+// State files ship with the code; the breakdown is reused until the JOLTS
+// data, the model version or the stored WARN notices change
+const STATE_DATA = geography.loadStateData();
+let statesCache = { key: null, result: null };
+
+// Where the state employment shares come from (sources.csv entries they cite)
+function stateProvenance() {
+  return { ...STATE_DATA.status, sources: STATE_DATA.sources };
+}
+
+async function stateBreakdown() {
+  const { events } = await store.queryEvents({ sources: ['warn'], sort: 'asc', limit: Infinity });
+  const version = versions.getCurrentVersion();
+  const key = JSON.stringify([version?.id, liveData.fred.fetchedAt, events.length, events[events.length - 1]?.id]);
+  
+  if (statesCache.key !== key) {
+    const { warnCalibration, ...calibration } = config.model.geography;
+    const result = geography.computeStates(liveData.fred, {
+      exposure: AI_EXPOSURE_MODEL,
+      notices: events,
+      calibration: { enabled: warnCalibration, ...calibration },
+      data: STATE_DATA
+    });
+    statesCache = { key, result };
+  }
+  return statesCache.result;
+}
+
+/**
+ * The live national counter fields scaled by a slice's share of the
+ * cumulative and latest-month estimates (states, sectors, companies)
+ */
+function scaleCounter(national, share) {
+  const scale = (value, fraction) => value == null ? null : Math.round(value * fraction);
+  const counterDecimal = national.counterDecimal * share.cumulativeMid;
+  
+  return {
+    counter: Math.floor(counterDecimal),
+    counterDecimal,
+    counterLow: scale(national.counterLow, share.cumulativeLow),
+    counterHigh: scale(national.counterHigh, share.cumulativeHigh),
+    perSecond: national.perSecond * share.latestMid,
+    perDay: scale(national.perDay, share.latestMid),
+    perDayStdDev: scale(national.perDayStdDev, share.latestMid),
+    perDayLow: scale(national.perDayLow, share.latestLow),
+    perDayHigh: scale(national.perDayHigh, share.latestHigh)
+  };
+}
+
+/**
+ * One state in the /api/metrics/current shape
+ */
+function stateView(state, national) {
+  return {
+    state: state.code,
+    name: state.name,
+    ...scaleCounter(national, state.share),
+    methodology: {
+      ...national.methodology,
+      geography: 'National sector estimates allocated by state share of sector employment',
+      employmentThousands: state.employmentThousands,
+      calibrationFactor: Math.round(state.calibrationFactor * 1000) / 1000
+    },
+    updatedAt: national.updatedAt
+  };
+}
+
+app.get('/api/states', async (req, res, next) => {
+  try {
+    const breakdown = await stateBreakdown();
+    if (!breakdown) {
+      return res.status(503).json({ error: 'No JOLTS data loaded yet' });
+    }
+    
+    const national = counter.getState();
+    const { applied, reason, window } = breakdown.calibration;
+    res.json({
+      through: breakdown.through,
+      calibration: { applied, reason, window, states: Object.keys(breakdown.calibration.states) },
+      provenance: stateProvenance(),
+      count: breakdown.states.length,
+      states: breakdown.states
+        .map(state => stateView(state, national))
+        .sort((a, b) => b.counterDecimal - a.counterDecimal)
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+app.get('/api/states/:code', async (req, res, next) => {
+  try {
+    const breakdown = await stateBreakdown();
+    if (!breakdown) {
+      return res.status(503).json({ error: 'No JOLTS data loaded yet' });
+    }
+    
+    const code = req.params.code.toUpperCase();
+    const state = breakdown.states.find(s => s.code === code);
+    if (!state) {
+      return res.status(404).json({ error: `Unknown state "${req.params.code}"` });
+    }
+    
+    res.json({
+      ...stateView(state, counter.getState()),
+      latestMonth: state.latest,
+      sectors: state.bySector,
+      calibration: breakdown.calibration.states[code] || null,
+      provenance: stateProvenance()
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+app.get('/api/revisions', (req, res) => {
+  const limit = req.query.limit !== undefined ? Number(req.query.limit) : 20;
+  if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+    return res.status(400).json({ error: 'limit must be an integer between 1 and 500' });
+  }
+  
+  const list = store.getRevisions({ limit });
+  res.json({
+    count: list.length,
+    note: 'A revision is a previously published JOLTS month whose value changed between fetches. The counter moves by the revision\'s effect on the cumulative mid estimate; newly released months are not revisions.',
+    revisions: list
+  });
+});
+
+// ALFRED-style vintages of one observation (or every month of a series)
+app.get('/api/revisions/vintages', (req, res) => {
+  const key = String(req.query.series || 'total');
+  const seriesId = Object.hasOwn(FRED_SERIES, key) ? FRED_SERIES[key] : null;
+  if (!seriesId) {
+    return res.status(400).json({ error: `Unknown series "${key}". Expected one of: ${Object.keys(FRED_SERIES).join(', ')}` });
+  }
+  if (req.query.month !== undefined && !/^\d{4}-\d{2}$/.test(req.query.month)) {
+    return res.status(400).json({ error: 'month must be YYYY-MM' });
+  }
+  
+  const vintages = Object.entries(store.getVintages(seriesId))
+    .filter(([date]) => !req.query.month || date.startsWith(req.query.month))
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([date, records]) => ({ date, vintages: records }));
+  res.json({ series: key, seriesId, units: 'Layoffs (jobs)', observations: vintages });
+});
+
+app.get('/api/suppression', (req, res) => {
+  if (!config.model.suppression.enabled) {
+    return res.status(404).json({ error: 'Hiring suppression is disabled (HIRING_SUPPRESSION=false)' });
+  }
+  if (!liveData.suppression) {
+    return res.status(503).json({ error: 'No hires data loaded yet' });
+  }
+  res.json({ live: suppressionState(), ...liveData.suppression, errors: liveData.flows.errors });
+});
+
+app.get('/api/reconciliation', (req, res) => {
+  const months = liveData.reconciliation;
+  const tolerance = config.model.reconciliationTolerance;
+  const residuals = months.map(m => Math.abs(m.residualPct)).filter(Number.isFinite);
+  
+  res.json({
+    series: { total: FRED_SERIES.total, sectors: Object.keys(FRED_SERIES).filter(k => k !== 'total') },
+    tolerancePct: tolerance,
+    latest: months[months.length - 1] || null,
+    meanAbsResidualPct: residuals.length ? residuals.reduce((a, b) => a + b, 0) / residuals.length : null,
+    flaggedMonths: months.filter(m => Math.abs(m.residualPct) > tolerance).map(m => m.month),
+    note: 'Industry series are not seasonally adjusted while JTSLDL is, so some monthly residual is expected',
+    months
+  });
+});
+
 app.get('/api/data/raw', (req, res) => {
   res.json({
     fred: liveData.fred,
     calculated: liveData.calculated,
+    uncertainty: liveData.uncertainty,
+    reconciliation: liveData.reconciliation,
+    nowcast: nowcaster.getEstimate(),
     model: AI_EXPOSURE_MODEL
   });
 });
@@ -505,10 +1738,30 @@ app.get('/api/health', (req, res) => {
     status: 'ok',
     counter: counter.value,
     clients: clients.size,
-    dataStatus: liveData.fred.errors.length === 0 ? 'ok' : 'partial'
+    instance: config.pubsub.instanceId,
+    pubsub: pubsub?.driver || null,
+    anchorOwner: anchors.leader,
+    anchor: counter.anchor && {
+      at: new Date(counter.anchor.at).toISOString(),
+      reason: counter.anchor.reason,
+      origin: counter.anchor.origin
+    },
+    dataStatus: liveData.fred.errors.length > 0 ? 'partial' : liveData.fred.stale.length > 0 ? 'stale' : 'ok',
+    fred: fredClient.getStats()
   });
 });
 
+// Errors passed to next() by the async handlers, plus malformed JSON bodies
+app.use((err, req, res, next) => {
+  if (res.headersSent) return next(err);
+  
+  const status = err.status || err.statusCode || 500;
+  if (status >= 500) {
+    console.error(`[HTTP] ${req.method} ${req.path} failed:`, err.message);
+  }
+  res.status(status).json({ error: status >= 500 ? 'Internal server error' : err.message });
+});
+
 // ============================================================================
 // START SERVER
 // ============================================================================
@@ -521,18 +1774,19 @@ server.listen(PORT, () => {
 });
 
 // Graceful shutdown
-process.on('SIGTERM', () => {
-  console.log('SIGTERM received, shutting down...');
-  server.close(() => {
-    console.log('Server closed');
-    process.exit(0);
+async function shutdown(signal) {
+  console.log(`${signal} received, shutting down...`);
+  await persistCounter();
+  await pubsub?.close();
+  // Open event streams would keep server.close() waiting
+  clients.forEach(session => {
+    if (session instanceof SseSession) session.end();
   });
-});
-
-process.on('SIGINT', () => {
-  console.log('SIGINT received, shutting down...');
   server.close(() => {
     console.log('Server closed');
     process.exit(0);
   });
-});
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
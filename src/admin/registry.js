@@ -0,0 +1,146 @@
+/**
+ * Model Registry
+ *
+ * Admin edits to the company list and exposure rates. Both are mutated
+ * in place, so every module holding US_AI_COMPANIES / AI_EXPOSURE_MODEL
+ * sees the change immediately; the full registry is persisted through
+ * DataStore.setRegistry and restored at startup.
+ */
+
+const { US_AI_COMPANIES, slugify } = require('../model/companies');
+const { AI_EXPOSURE_MODEL } = require('../model/exposure');
+const store = require('../data/store');
+
+// Rates as shipped, so sectors added in a release reach deployments with a saved registry
+const BUILTIN_EXPOSURE = JSON.parse(JSON.stringify(AI_EXPOSURE_MODEL));
+
+// Built-in sectors retired through the admin API (kept out when restoring)
+const retiredSectors = new Set();
+
+function serializeCompany(company) {
+  return {
+    ...company,
+    productLaunch: company.productLaunch ? new Date(company.productLaunch).toISOString().slice(0, 10) : null
+  };
+}
+
+function reviveCompany(company) {
+  return {
+    ...company,
+    productLaunch: company.productLaunch ? new Date(company.productLaunch) : null
+  };
+}
+
+function snapshot() {
+  return {
+    companies: US_AI_COMPANIES.map(serializeCompany),
+    exposure: JSON.parse(JSON.stringify(AI_EXPOSURE_MODEL)),
+    retiredSectors: [...retiredSectors]
+  };
+}
+
+/**
+ * Replace the built-in registry with a persisted one
+ */
+function restore(saved) {
+  if (!saved?.companies || !saved?.exposure) return false;
+
+  US_AI_COMPANIES.splice(0, US_AI_COMPANIES.length, ...saved.companies.map(reviveCompany));
+
+  retiredSectors.clear();
+  for (const sector of saved.retiredSectors || []) retiredSectors.add(sector);
+
+  // Built-in sectors the saved registry predates keep their shipped rates
+  for (const key of Object.keys(AI_EXPOSURE_MODEL)) delete AI_EXPOSURE_MODEL[key];
+  Object.assign(AI_EXPOSURE_MODEL, saved.exposure);
+  for (const [sector, rates] of Object.entries(BUILTIN_EXPOSURE)) {
+    if (!Object.hasOwn(AI_EXPOSURE_MODEL, sector) && !retiredSectors.has(sector)) {
+      AI_EXPOSURE_MODEL[sector] = { ...rates };
+    }
+  }
+  return true;
+}
+
+function persist() {
+  return store.setRegistry(snapshot());
+}
+
+function findCompany(slug) {
+  return US_AI_COMPANIES.find(c => slugify(c.name) === slug) || null;
+}
+
+function listCompanies() {
+  return US_AI_COMPANIES.map(c => ({ slug: slugify(c.name), ...serializeCompany(c) }));
+}
+
+/**
+ * @returns {{company?: Object, error?: string}}
+ */
+function createCompany(data) {
+  const slug = slugify(data.name);
+  if (!slug) return { error: 'name must contain letters or digits' };
+  if (findCompany(slug)) return { error: `Company "${slug}" already exists` };
+
+  const company = reviveCompany({ productLaunch: null, notes: '', ...data });
+  US_AI_COMPANIES.push(company);
+  return { company };
+}
+
+function updateCompany(slug, changes) {
+  const company = findCompany(slug);
+  if (!company) return { error: `Unknown company "${slug}"`, status: 404 };
+
+  if (changes.name && slugify(changes.name) !== slug && findCompany(slugify(changes.name))) {
+    return { error: `Company "${slugify(changes.name)}" already exists` };
+  }
+
+  const wasRetired = Boolean(company.retired);
+  Object.assign(company, reviveCompany({ ...company, ...changes }));
+  // retired=false restores the company; retired=true through a PATCH retires it like DELETE
+  if (changes.retired === false) delete company.retiredAt;
+  else if (changes.retired === true && !wasRetired) company.retiredAt = new Date().toISOString();
+  return { company };
+}
+
+/**
+ * Soft delete: the record stays (a PATCH with retired=false brings it
+ * back) but drops out of attribution.
+ */
+function retireCompany(slug) {
+  const company = findCompany(slug);
+  if (!company) return { error: `Unknown company "${slug}"`, status: 404 };
+  if (company.retired) return { error: `Company "${slug}" is already retired` };
+
+  company.retired = true;
+  company.retiredAt = new Date().toISOString();
+  return { company };
+}
+
+function setExposure(sector, rates) {
+  retiredSectors.delete(sector);
+  AI_EXPOSURE_MODEL[sector] = { ...rates };
+  return { rates: AI_EXPOSURE_MODEL[sector] };
+}
+
+function retireExposure(sector) {
+  if (sector === 'other') return { error: 'The "other" rate cannot be retired' };
+  if (!Object.hasOwn(AI_EXPOSURE_MODEL, sector)) return { error: `Unknown sector "${sector}"`, status: 404 };
+
+  delete AI_EXPOSURE_MODEL[sector];
+  if (Object.hasOwn(BUILTIN_EXPOSURE, sector)) retiredSectors.add(sector);
+  return {};
+}
+
+module.exports = {
+  snapshot,
+  restore,
+  persist,
+  findCompany,
+  listCompanies,
+  createCompany,
+  updateCompany,
+  retireCompany,
+  setExposure,
+  retireExposure,
+  serializeCompany
+};
@@ -0,0 +1,190 @@
+/**
+ * Admin API
+ *
+ * Authenticated endpoints to edit the company registry and exposure
+ * rates without redeploying. Requests need the configured API key
+ * (Authorization: Bearer <key> or X-API-Key) and an X-Admin-User header
+ * naming who is making the change; every change is written to the audit
+ * trail and reported through onChange so the server can recalculate and
+ * notify connected clients.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const config = require('../config');
+const store = require('../data/store');
+const registry = require('./registry');
+const { validateCompany, validateExposure } = require('./schema');
+const { INDUSTRIES } = require('../model/exposure');
+
+// JOLTS supersectors the model applies rates to, plus the residual rate
+const SECTORS = new Set([...INDUSTRIES, 'other']);
+
+function digest(value) {
+  return crypto.createHash('sha256').update(String(value)).digest();
+}
+
+function requireApiKey(req, res, next) {
+  const apiKey = config.security.apiKey;
+  if (!apiKey) {
+    return res.status(503).json({ error: 'Admin API disabled: API_KEY is not configured' });
+  }
+
+  const header = req.get('authorization') || '';
+  const provided = header.startsWith('Bearer ') ? header.slice(7) : req.get('x-api-key');
+  if (!provided || !crypto.timingSafeEqual(digest(provided), digest(apiKey))) {
+    return res.status(401).json({ error: 'Invalid or missing API key' });
+  }
+
+  next();
+}
+
+function requireActor(req, res, next) {
+  const actor = (req.get('x-admin-user') || '').trim();
+  if (!actor) {
+    return res.status(400).json({ error: 'X-Admin-User header is required for the audit trail' });
+  }
+  req.actor = actor.slice(0, 100);
+  next();
+}
+
+function createAdminRouter({ onChange = () => {} } = {}) {
+  const router = express.Router();
+  router.use(requireApiKey);
+
+  async function record(req, action, target, before, after) {
+    const entry = {
+      id: crypto.randomUUID(),
+      at: new Date().toISOString(),
+      actor: req.actor,
+      ip: req.ip,
+      action,
+      target,
+      before,
+      after
+    };
+    await registry.persist();
+    await store.addAudit(entry);
+    await onChange(entry);
+    return entry;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Read
+  // ---------------------------------------------------------------------------
+
+  router.get('/companies', (req, res) => {
+    res.json({ companies: registry.listCompanies() });
+  });
+
+  router.get('/exposure', (req, res) => {
+    res.json({ exposure: registry.snapshot().exposure });
+  });
+
+  router.get('/audit', (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 1000);
+    res.json({ entries: store.getAudit({ limit }) });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Write
+  // ---------------------------------------------------------------------------
+
+  router.use(requireActor);
+
+  // Unknown sectors (including Object.prototype names) are 404s
+  router.param('sector', (req, res, next, sector) => {
+    if (!SECTORS.has(sector)) {
+      return res.status(404).json({ error: `Unknown sector "${sector}"` });
+    }
+    next();
+  });
+
+  function exposureRates(sector) {
+    const { exposure } = registry.snapshot();
+    return Object.hasOwn(exposure, sector) ? exposure[sector] : null;
+  }
+
+  router.post('/companies', async (req, res, next) => {
+    try {
+      const { value, errors } = validateCompany(req.body);
+      if (errors) return res.status(400).json({ errors });
+
+      const { company, error } = registry.createCompany(value);
+      if (error) return res.status(409).json({ error });
+
+      const after = registry.serializeCompany(company);
+      const entry = await record(req, 'company.create', after.name, null, after);
+      res.status(201).json({ company: after, audit: entry.id });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.patch('/companies/:slug', async (req, res, next) => {
+    try {
+      const { value, errors } = validateCompany(req.body, { partial: true });
+      if (errors) return res.status(400).json({ errors });
+
+      const before = registry.findCompany(req.params.slug);
+      const beforeSnapshot = before && registry.serializeCompany(before);
+      const { company, error, status } = registry.updateCompany(req.params.slug, value);
+      if (error) return res.status(status || 409).json({ error });
+
+      const after = registry.serializeCompany(company);
+      const entry = await record(req, 'company.update', after.name, beforeSnapshot, after);
+      res.json({ company: after, audit: entry.id });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.delete('/companies/:slug', async (req, res, next) => {
+    try {
+      const before = registry.findCompany(req.params.slug);
+      const beforeSnapshot = before && registry.serializeCompany(before);
+      const { company, error, status } = registry.retireCompany(req.params.slug);
+      if (error) return res.status(status || 409).json({ error });
+
+      const after = registry.serializeCompany(company);
+      const entry = await record(req, 'company.retire', after.name, beforeSnapshot, after);
+      res.json({ company: after, audit: entry.id });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.put('/exposure/:sector', async (req, res, next) => {
+    try {
+      const sector = req.params.sector;
+      const { value, errors } = validateExposure(req.body);
+      if (errors) return res.status(400).json({ errors });
+
+      const before = exposureRates(sector);
+      const { rates } = registry.setExposure(sector, value);
+      const entry = await record(req, before ? 'exposure.update' : 'exposure.create', sector, before, rates);
+      res.status(before ? 200 : 201).json({ sector, rates, audit: entry.id });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.delete('/exposure/:sector', async (req, res, next) => {
+    try {
+      const sector = req.params.sector;
+      const before = exposureRates(sector);
+      const { error, status } = registry.retireExposure(sector);
+      if (error) return res.status(status || 409).json({ error });
+
+      const entry = await record(req, 'exposure.retire', sector, before, null);
+      res.json({ sector, retired: true, audit: entry.id });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+}
+
+module.exports = createAdminRouter;
+module.exports.requireApiKey = requireApiKey;
@@ -0,0 +1,111 @@
+/**
+ * Admin Payload Validation
+ *
+ * Hand-rolled schemas for company records and exposure rates. Each
+ * validator returns { value } with the cleaned payload or { errors }.
+ */
+
+const { DISPLACEMENT_CATEGORIES, DISPLACEMENT_TYPE_MULT, ENTERPRISE_MULT } = require('../model/companies');
+
+const COMPANY_FIELDS = {
+  name: { type: 'string', required: true, maxLength: 100 },
+  valuation: { type: 'number', required: true, min: 0 },
+  category: { type: 'string', required: true, oneOf: () => Object.keys(DISPLACEMENT_CATEGORIES) },
+  industry: { type: 'string', required: true, maxLength: 100 },
+  founded: { type: 'integer', min: 1900, max: 2100 },
+  productLaunch: { type: 'date', nullable: true },
+  displacementType: { type: 'string', required: true, oneOf: () => Object.keys(DISPLACEMENT_TYPE_MULT) },
+  operationalStatus: { type: 'number', required: true, min: 0, max: 1 },
+  enterpriseLevel: { type: 'string', required: true, oneOf: () => Object.keys(ENTERPRISE_MULT) },
+  notes: { type: 'string', maxLength: 500 },
+  retired: { type: 'boolean' }
+};
+
+const EXPOSURE_FIELDS = {
+  low: { type: 'number', required: true, min: 0, max: 1 },
+  mid: { type: 'number', required: true, min: 0, max: 1 },
+  high: { type: 'number', required: true, min: 0, max: 1 },
+  rationale: { type: 'string', required: true, maxLength: 500 }
+};
+
+function checkField(name, value, rule) {
+  if (value === null) {
+    return rule.nullable ? null : `${name} must not be null`;
+  }
+
+  switch (rule.type) {
+    case 'string':
+      if (typeof value !== 'string' || !value.trim()) return `${name} must be a non-empty string`;
+      if (rule.maxLength && value.length > rule.maxLength) return `${name} must be at most ${rule.maxLength} characters`;
+      break;
+    case 'number':
+    case 'integer':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return `${name} must be a number`;
+      if (rule.type === 'integer' && !Number.isInteger(value)) return `${name} must be an integer`;
+      if (rule.min !== undefined && value < rule.min) return `${name} must be >= ${rule.min}`;
+      if (rule.max !== undefined && value > rule.max) return `${name} must be <= ${rule.max}`;
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') return `${name} must be true or false`;
+      break;
+    case 'date':
+      if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value) || !Number.isFinite(Date.parse(value))) {
+        return `${name} must be a YYYY-MM-DD date`;
+      }
+      break;
+  }
+
+  if (rule.oneOf && !rule.oneOf().includes(value)) {
+    return `${name} must be one of: ${rule.oneOf().join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * @param {Object} body
+ * @param {Object} fields - Field rules
+ * @param {boolean} partial - PATCH semantics: no required fields
+ */
+function validate(body, fields, partial) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { errors: ['Body must be a JSON object'] };
+  }
+
+  const errors = [];
+  const value = {};
+
+  for (const key of Object.keys(body)) {
+    if (!Object.hasOwn(fields, key)) errors.push(`Unknown field ${key}`);
+  }
+
+  for (const [name, rule] of Object.entries(fields)) {
+    if (body[name] === undefined) {
+      if (rule.required && !partial) errors.push(`${name} is required`);
+      continue;
+    }
+    const error = checkField(name, body[name], rule);
+    if (error) errors.push(error);
+    else value[name] = typeof body[name] === 'string' ? body[name].trim() : body[name];
+  }
+
+  return errors.length ? { errors } : { value };
+}
+
+function validateCompany(body, { partial = false } = {}) {
+  return validate(body, COMPANY_FIELDS, partial);
+}
+
+function validateExposure(body) {
+  const result = validate(body, EXPOSURE_FIELDS, false);
+  if (result.value && !(result.value.low <= result.value.mid && result.value.mid <= result.value.high)) {
+    return { errors: ['Rates must satisfy low <= mid <= high'] };
+  }
+  return result;
+}
+
+module.exports = {
+  validateCompany,
+  validateExposure,
+  COMPANY_FIELDS,
+  EXPOSURE_FIELDS
+};
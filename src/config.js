@@ -5,6 +5,8 @@
  * Override via environment variables or .env file
  */
 
+const os = require('os');
+
 // Load .env file if present
 try {
   require('dotenv').config();
@@ -23,12 +25,38 @@ const config = {
     enabled: !!process.env.REDIS_URL
   },
   
+  // Fan-out between server instances (src/data/pubsub.js): 'redis', or
+  // 'memory' for a single process
+  pubsub: {
+    driver: process.env.PUBSUB_DRIVER || (process.env.REDIS_URL ? 'redis' : 'memory'),
+    instanceId: process.env.INSTANCE_ID || `${os.hostname()}-${process.pid}`
+  },
+  
+  // Persistence driver: 'redis', 'file' (append-only log + snapshot) or 'memory'
+  store: {
+    driver: process.env.STORE_DRIVER || (process.env.REDIS_URL ? 'redis' : 'memory'),
+    dataDir: process.env.DATA_DIR || './data',
+    compactThreshold: parseInt(process.env.STORE_COMPACT_THRESHOLD || '1000')  // log entries
+  },
+  
   // Data Source API Keys
   apiKeys: {
     bls: process.env.BLS_API_KEY || null,
     fred: process.env.FRED_API_KEY || null
   },
   
+  // FRED client (src/sources/fred.js)
+  fred: {
+    timeoutMs: parseInt(process.env.FRED_TIMEOUT_MS || '15000'),
+    retries: parseInt(process.env.FRED_RETRIES || '3'),
+    backoffMs: 1000,                 // first retry delay, doubled each attempt
+    concurrency: parseInt(process.env.FRED_CONCURRENCY || '4'),
+    requestsPerMinute: 120,          // FRED's published API limit
+    cacheDir: process.env.FRED_CACHE_DIR || `${process.env.DATA_DIR || './data'}/fred-cache`,
+    fixtureDir: process.env.FRED_FIXTURE_DIR || null,    // saved responses instead of the live API
+    fixtureMode: process.env.FRED_FIXTURE_MODE || 'replay'  // 'replay' or 'record'
+  },
+  
   // Fetch Intervals (ms)
   fetchIntervals: {
     warn: parseInt(process.env.WARN_FETCH_INTERVAL || '3600000'),     // 1 hour
@@ -36,13 +64,47 @@ const config = {
     jolts: parseInt(process.env.JOLTS_FETCH_INTERVAL || '86400000')    // 24 hours
   },
   
+  // Live streams (src/stream/)
+  stream: {
+    sseHeartbeatMs: parseInt(process.env.SSE_HEARTBEAT_MS || '15000'),  // comment line to keep proxies open
+    replayLimit: 100              // model events kept for SSE Last-Event-ID resume
+  },
+  
   // Model Parameters
   model: {
     initialLambdaDay: parseFloat(process.env.INITIAL_LAMBDA_DAY || '5000'),
     captureRate: parseFloat(process.env.CAPTURE_RATE || '0.35'),
     aiShareBaseline: parseFloat(process.env.AI_SHARE_BASELINE || '0.25'),
-    kalmanProcessNoise: 50000,
-    kalmanMeasurementNoise: 200000
+    kalmanProcessNoise: 50000,       // rate drift variance per month, (jobs/day)²
+    kalmanMeasurementNoise: 200000,  // variance of one JOLTS-derived daily rate, (jobs/day)²
+    announcementSignalNoise: parseFloat(process.env.ANNOUNCEMENT_SIGNAL_NOISE || '800000'),
+    announcementMinEvents: parseInt(process.env.ANNOUNCEMENT_MIN_EVENTS || '5'),
+    
+    // |total - sector sum| above this % of the total is flagged
+    reconciliationTolerance: parseFloat(process.env.RECONCILIATION_TOLERANCE || '5'),
+    
+    // Net hiring suppression (src/model/suppression.js), a separate counter
+    suppression: {
+      enabled: process.env.HIRING_SUPPRESSION !== 'false',
+      minExposure: 0.10,              // sectors with a mid exposure rate at or above this
+      baselineStart: '2018-01-01',    // pre-AI hiring baseline (pre-pandemic)
+      baselineEnd: '2019-12-31'
+    },
+    
+    // Monte Carlo bands (src/model/uncertainty.js)
+    uncertainty: {
+      samples: parseInt(process.env.MC_SAMPLES || '1000'),
+      seed: parseInt(process.env.MC_SEED || '20230101'),
+      correlation: 0.5,     // shared-factor weight between sector exposure draws
+      revisionError: 0.04   // relative std dev of a JOLTS layoffs value
+    },
+    
+    // State breakdown (src/model/geography.js)
+    geography: {
+      warnCalibration: process.env.WARN_CALIBRATION !== 'false',
+      credibility: 20,          // notices at which a state's WARN evidence gets half weight
+      factorBounds: [0.5, 2]    // limits on a state's calibration factor
+    }
   },
   
   // Security
@@ -55,6 +117,16 @@ const config = {
     }
   },
   
+  // Ingestion
+  ingest: {
+    userAgent: process.env.INGEST_USER_AGENT || 'ai-displacement-counter/2.0 (+https://github.com/exexexll/humanworkersmatter)',
+    warnFixtureDir: process.env.WARN_FIXTURE_DIR || null,  // read saved pages instead of live sites
+    layoffsFeed: {
+      location: process.env.LAYOFFS_FEED || null,            // file path or http(s) URL
+      format: process.env.LAYOFFS_FEED_FORMAT || 'json'      // 'json' or 'rss'
+    }
+  },
+  
   // WARN Notice Sources (State URLs)
   warnSources: {
     CA: {
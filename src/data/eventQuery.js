@@ -0,0 +1,96 @@
+/**
+ * Event Query Parsing
+ *
+ * Validates /api/events query parameters and encodes the opaque
+ * pagination cursor. Cursors point at the last event of a page by
+ * (event_time, id), so pages stay stable while new events arrive.
+ */
+
+const { CLASSIFICATIONS } = require('../ingest/layoffs/classifier');
+
+const SOURCES = ['warn', 'layoffs'];
+const SORTS = ['asc', 'desc'];
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+function encodeCursor(event) {
+  return Buffer.from(JSON.stringify({ t: event.event_time, id: event.id })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { t, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof t !== 'string' || typeof id !== 'string') return null;
+    return { t, id };
+  } catch (err) {
+    return null;
+  }
+}
+
+function parseList(value) {
+  if (!value) return null;
+  return String(value).split(',').map(v => v.trim()).filter(Boolean);
+}
+
+function parseTime(value, endOfDay) {
+  if (!value) return null;
+  const iso = /^\d{4}-\d{2}-\d{2}$/.test(value)
+    ? `${value}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z`
+    : value;
+  const time = Date.parse(iso);
+  return Number.isFinite(time) ? time : NaN;
+}
+
+/**
+ * Query string → store options. Returns { error } on invalid input.
+ */
+function parseEventQuery(query) {
+  const options = {
+    from: parseTime(query.from, false),
+    to: parseTime(query.to, true),
+    states: parseList(query.state)?.map(s => s.toUpperCase()) || null,
+    industries: parseList(query.industry)?.map(s => s.toLowerCase()) || null,
+    company: query.company ? String(query.company).toLowerCase() : null,
+    sources: parseList(query.source),
+    classifications: parseList(query.classification),
+    sort: query.sort || 'desc',
+    limit: query.limit !== undefined ? parseInt(query.limit) : DEFAULT_LIMIT,
+    cursor: null
+  };
+
+  if (Number.isNaN(options.from)) return { error: `Invalid from "${query.from}"` };
+  if (Number.isNaN(options.to)) return { error: `Invalid to "${query.to}"` };
+  if (options.from != null && options.to != null && options.from > options.to) {
+    return { error: '"from" must not be after "to"' };
+  }
+  if (!SORTS.includes(options.sort)) {
+    return { error: `Invalid sort "${options.sort}". Expected one of: ${SORTS.join(', ')}` };
+  }
+  if (!Number.isInteger(options.limit) || options.limit < 1 || options.limit > MAX_LIMIT) {
+    return { error: `limit must be an integer between 1 and ${MAX_LIMIT}` };
+  }
+  for (const source of options.sources || []) {
+    if (!SOURCES.includes(source)) {
+      return { error: `Unknown source "${source}". Expected one of: ${SOURCES.join(', ')}` };
+    }
+  }
+  for (const classification of options.classifications || []) {
+    if (!CLASSIFICATIONS.includes(classification)) {
+      return { error: `Unknown classification "${classification}". Expected one of: ${CLASSIFICATIONS.join(', ')}` };
+    }
+  }
+  if (query.cursor) {
+    options.cursor = decodeCursor(query.cursor);
+    if (!options.cursor) return { error: 'Invalid cursor' };
+  }
+
+  return { options };
+}
+
+module.exports = {
+  parseEventQuery,
+  encodeCursor,
+  decodeCursor,
+  SOURCES,
+  MAX_LIMIT
+};
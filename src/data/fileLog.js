@@ -0,0 +1,96 @@
+/**
+ * Append-Only File Log
+ *
+ * Durable local persistence for single-box deployments without Redis.
+ * Every write is appended to log.jsonl as one JSON line; once the log
+ * grows past the compaction threshold the full store is written to
+ * snapshot.json and the log is truncated. Restoring = snapshot + replay.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SNAPSHOT_FILE = 'snapshot.json';
+const LOG_FILE = 'log.jsonl';
+
+class FileLog {
+  constructor({ dir, compactThreshold = 1000 }) {
+    this.dir = path.resolve(dir);
+    this.snapshotPath = path.join(this.dir, SNAPSHOT_FILE);
+    this.logPath = path.join(this.dir, LOG_FILE);
+    this.compactThreshold = compactThreshold;
+    this.entryCount = 0;
+
+    // Serializes appends and compactions so a snapshot never races a write
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Read the snapshot and every log entry written after it.
+   * A torn final line (crash mid-append) is skipped.
+   */
+  async open() {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+
+    let snapshot = null;
+    try {
+      snapshot = JSON.parse(await fs.promises.readFile(this.snapshotPath, 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+
+    const entries = [];
+    try {
+      const lines = (await fs.promises.readFile(this.logPath, 'utf8')).split('\n');
+      for (const line of lines) {
+        if (!line.trim()) continue;
+        try {
+          entries.push(JSON.parse(line));
+        } catch (err) {
+          // Partial write - everything before it is still valid
+        }
+      }
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+
+    this.entryCount = entries.length;
+    return { snapshot, entries };
+  }
+
+  append(op, data) {
+    const line = JSON.stringify({ op, data, ts: Date.now() }) + '\n';
+    return this.enqueue(async () => {
+      await fs.promises.appendFile(this.logPath, line);
+      this.entryCount++;
+    });
+  }
+
+  needsCompaction() {
+    return this.entryCount >= this.compactThreshold;
+  }
+
+  /**
+   * Replace the snapshot with the given state and truncate the log.
+   * The snapshot is written to a temp file and renamed so a crash
+   * leaves either the old or the new snapshot, never a partial one.
+   */
+  compact(state) {
+    const body = JSON.stringify({ ...state, compactedAt: new Date().toISOString() });
+    return this.enqueue(async () => {
+      const tmp = `${this.snapshotPath}.tmp`;
+      await fs.promises.writeFile(tmp, body);
+      await fs.promises.rename(tmp, this.snapshotPath);
+      await fs.promises.writeFile(this.logPath, '');
+      this.entryCount = 0;
+    });
+  }
+
+  enqueue(task) {
+    const run = this.queue.then(task);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+}
+
+module.exports = FileLog;
@@ -0,0 +1,164 @@
+/**
+ * Pub/Sub Abstraction
+ *
+ * Fans counter anchors, model updates and revisions out to every server
+ * instance behind a load balancer.
+ *
+ *   memory - in-process EventEmitter. Instances created on the same `bus`
+ *            see each other's messages, so tests can run several replicas
+ *            in one process; with the default private bus it is a
+ *            single-instance no-op.
+ *   redis  - PUBLISH/SUBSCRIBE over two dedicated ioredis connections
+ *            (a subscribed connection cannot run other commands)
+ *
+ * Messages are JSON. Each is stamped with the publishing instance's id and
+ * handlers never see their own instance's messages.
+ */
+
+const { EventEmitter } = require('events');
+const logger = require('../logger');
+
+const CHANNEL_PREFIX = 'nowcast:pubsub:';
+
+class PubSub {
+  constructor(instanceId) {
+    this.instanceId = instanceId;
+    this.handlers = new Map();
+  }
+
+  /**
+   * @param {string} topic
+   * @param {Function} handler - (data, origin) => void|Promise
+   */
+  async subscribe(topic, handler) {
+    if (!this.handlers.has(topic)) {
+      this.handlers.set(topic, []);
+      await this.listen(topic);
+    }
+    this.handlers.get(topic).push(handler);
+  }
+
+  // Deliver one raw message to the topic's handlers, skipping our own
+  async dispatch(topic, raw) {
+    let message;
+    try {
+      message = JSON.parse(raw);
+    } catch (err) {
+      logger.warn('Ignoring malformed pub/sub message', { topic, error: err.message });
+      return;
+    }
+    if (message.origin === this.instanceId) return;
+
+    for (const handler of this.handlers.get(topic) || []) {
+      try {
+        await handler(message.data, message.origin);
+      } catch (err) {
+        logger.error('Pub/sub handler failed', { topic, origin: message.origin, error: err.message });
+      }
+    }
+  }
+
+  encode(data) {
+    return JSON.stringify({ origin: this.instanceId, data });
+  }
+}
+
+class MemoryPubSub extends PubSub {
+  /**
+   * @param {string} instanceId
+   * @param {Object} [options]
+   * @param {EventEmitter} [options.bus] - Share one bus between instances
+   */
+  constructor(instanceId, { bus = new EventEmitter() } = {}) {
+    super(instanceId);
+    this.driver = 'memory';
+    this.bus = bus;
+    this.listeners = [];
+  }
+
+  async listen(topic) {
+    const listener = raw => this.dispatch(topic, raw);
+    this.bus.on(topic, listener);
+    this.listeners.push([topic, listener]);
+  }
+
+  // Delivered on a later tick, like a network round trip
+  async publish(topic, data) {
+    const raw = this.encode(data);
+    setImmediate(() => this.bus.emit(topic, raw));
+  }
+
+  async close() {
+    for (const [topic, listener] of this.listeners) this.bus.off(topic, listener);
+    this.listeners = [];
+  }
+}
+
+class RedisPubSub extends PubSub {
+  constructor(instanceId, { url }) {
+    super(instanceId);
+    this.driver = 'redis';
+    this.url = url;
+    this.publisher = null;
+    this.subscriber = null;
+  }
+
+  async connect() {
+    const Redis = require('ioredis');
+    this.publisher = new Redis(this.url, { maxRetriesPerRequest: 3 });
+    this.subscriber = new Redis(this.url, { maxRetriesPerRequest: 3 });
+    await Promise.all([this.publisher.ping(), this.subscriber.ping()]);
+
+    this.subscriber.on('message', (channel, raw) => {
+      if (channel.startsWith(CHANNEL_PREFIX)) this.dispatch(channel.slice(CHANNEL_PREFIX.length), raw);
+    });
+    return this;
+  }
+
+  async listen(topic) {
+    await this.subscriber.subscribe(CHANNEL_PREFIX + topic);
+  }
+
+  async publish(topic, data) {
+    try {
+      await this.publisher.publish(CHANNEL_PREFIX + topic, this.encode(data));
+    } catch (err) {
+      logger.error('Redis publish failed', { topic, error: err.message });
+    }
+  }
+
+  async close() {
+    await Promise.all([this.publisher?.quit(), this.subscriber?.quit()]);
+  }
+}
+
+/**
+ * Pub/sub for the configured driver. Falls back to in-process (no fan-out)
+ * when Redis is unavailable, like the DataStore.
+ *
+ * @param {Object} options
+ * @param {string} options.driver - 'redis' or 'memory'
+ * @param {string} options.instanceId
+ * @param {string} [options.url] - Redis URL
+ * @returns {Promise<MemoryPubSub|RedisPubSub>}
+ */
+async function createPubSub({ driver, instanceId, url }) {
+  if (driver === 'redis' && url) {
+    const pubsub = new RedisPubSub(instanceId, { url });
+    try {
+      await pubsub.connect();
+      logger.info('Redis pub/sub connected', { instanceId });
+      return pubsub;
+    } catch (err) {
+      logger.warn('Redis pub/sub unavailable, updates will not reach other instances', { error: err.message });
+      await pubsub.close().catch(() => {});
+    }
+  }
+  return new MemoryPubSub(instanceId);
+}
+
+module.exports = {
+  MemoryPubSub,
+  RedisPubSub,
+  createPubSub
+};
@@ -1,12 +1,47 @@
 /**
  * Data Store Abstraction
  * 
- * Supports both in-memory and Redis storage
- * Automatically falls back to in-memory if Redis is unavailable
+ * Supports in-memory, Redis and append-only file storage
+ * Automatically falls back to in-memory if the configured backend is unavailable
  */
 
 const config = require('../config');
 const logger = require('../logger');
+const FileLog = require('./fileLog');
+const { encodeCursor } = require('./eventQuery');
+
+// Events older than this are dropped from every backend
+const EVENT_RETENTION_MS = 90 * 24 * 60 * 60 * 1000;
+
+// Most recent admin audit entries kept
+const AUDIT_LIMIT = 10000;
+
+// Most recent saved scenarios kept (saving needs the admin key)
+const SCENARIO_LIMIT = 1000;
+
+// Most recent JOLTS revision records kept
+const REVISION_LIMIT = 500;
+
+// Stores an anchor only if it is not older than the stored one, so a slow
+// write from one instance never replaces a newer anchor from another
+const SET_ANCHOR_SCRIPT = `
+local current = redis.call('GET', KEYS[1])
+if current and cjson.decode(current).at > tonumber(ARGV[2]) then
+  return current
+end
+redis.call('SET', KEYS[1], ARGV[1])
+return ARGV[1]
+`;
+
+// Takes a lease that is free or already ours, and renews it
+const CLAIM_LEASE_SCRIPT = `
+local holder = redis.call('GET', KEYS[1])
+if holder and holder ~= ARGV[1] then
+  return 0
+end
+redis.call('SET', KEYS[1], ARGV[1], 'PX', ARGV[2])
+return 1
+`;
 
 class DataStore {
   constructor() {
@@ -18,13 +53,26 @@ class DataStore {
         ai: 0
       },
       state: {},
-      joltsAnchor: null
+      counterAnchor: null,
+      joltsAnchor: null,
+      registry: null,
+      audit: [],
+      modelVersions: [],
+      scenarios: [],
+      vintages: {},
+      revisions: []
     };
+    // name → { holder, expiresAt } (memory and file drivers; kept out of the snapshot)
+    this.leases = new Map();
     this.useRedis = false;
+    this.file = null;
+    this.useFile = false;
   }
 
   async initialize() {
-    if (config.redis.enabled) {
+    const driver = config.store.driver;
+
+    if (driver === 'redis' && config.redis.enabled) {
       try {
         const Redis = require('ioredis');
         this.redis = new Redis(config.redis.url, {
@@ -42,6 +90,22 @@ class DataStore {
         logger.warn('Redis connection failed, falling back to in-memory store', { error: err.message });
         this.useRedis = false;
       }
+    } else if (driver === 'file') {
+      try {
+        this.file = new FileLog({
+          dir: config.store.dataDir,
+          compactThreshold: config.store.compactThreshold
+        });
+        this.useFile = true;
+        logger.info('Using file data store', { dir: this.file.dir });
+
+        // Restore state from snapshot + log
+        await this.restoreState();
+      } catch (err) {
+        logger.warn('File store unavailable, falling back to in-memory store', { error: err.message });
+        this.file = null;
+        this.useFile = false;
+      }
     } else {
       logger.info('Using in-memory data store');
     }
@@ -50,6 +114,7 @@ class DataStore {
   }
 
   async restoreState() {
+    if (this.useFile) return this.restoreFromFile();
     if (!this.useRedis) return;
 
     try {
@@ -65,15 +130,142 @@ class DataStore {
         logger.info('Restored counters from Redis', this.memory.counters);
       }
 
+      const anchor = await this.redis.get('nowcast:anchor');
+      if (anchor) {
+        this.memory.counterAnchor = JSON.parse(anchor);
+      }
+
       const jolts = await this.redis.get('nowcast:jolts');
       if (jolts) {
         this.memory.joltsAnchor = JSON.parse(jolts);
       }
+
+      const registry = await this.redis.get('nowcast:registry');
+      if (registry) {
+        this.memory.registry = JSON.parse(registry);
+      }
+
+      const audit = await this.redis.lrange('nowcast:audit', -AUDIT_LIMIT, -1);
+      this.memory.audit = audit.map(entry => JSON.parse(entry));
+
+      const versions = await this.redis.lrange('nowcast:models', 0, -1);
+      this.memory.modelVersions = versions.map(version => JSON.parse(version));
+
+      const scenarios = await this.redis.hvals('nowcast:scenarios');
+      this.memory.scenarios = scenarios
+        .map(scenario => JSON.parse(scenario))
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+      const vintages = await this.redis.hgetall('nowcast:vintages');
+      this.memory.vintages = Object.fromEntries(
+        Object.entries(vintages || {}).map(([series, dates]) => [series, JSON.parse(dates)])
+      );
+
+      const revisions = await this.redis.lrange('nowcast:revisions', -REVISION_LIMIT, -1);
+      this.memory.revisions = revisions.map(revision => JSON.parse(revision));
     } catch (err) {
       logger.error('Failed to restore state from Redis', { error: err.message });
     }
   }
 
+  async restoreFromFile() {
+    const { snapshot, entries } = await this.file.open();
+
+    if (snapshot) {
+      this.memory.events = snapshot.events || [];
+      this.memory.counters = snapshot.counters || this.memory.counters;
+      this.memory.state = snapshot.state || {};
+      this.memory.counterAnchor = snapshot.counterAnchor || null;
+      this.memory.joltsAnchor = snapshot.joltsAnchor || null;
+      this.memory.registry = snapshot.registry || null;
+      this.memory.audit = snapshot.audit || [];
+      this.memory.modelVersions = snapshot.modelVersions || [];
+      this.memory.scenarios = snapshot.scenarios || [];
+      this.memory.vintages = snapshot.vintages || {};
+      this.memory.revisions = snapshot.revisions || [];
+    }
+
+    for (const { op, data } of entries) {
+      switch (op) {
+        case 'event':
+          if (!this.memory.events.some(e => e.id === data.id)) {
+            this.memory.events.push(data);
+          }
+          break;
+        case 'counters':
+          this.memory.counters = data;
+          break;
+        case 'state':
+          this.memory.state = data;
+          break;
+        case 'anchor':
+          this.memory.counterAnchor = data;
+          break;
+        case 'jolts':
+          this.memory.joltsAnchor = data;
+          break;
+        case 'registry':
+          this.memory.registry = data;
+          break;
+        case 'audit':
+          this.memory.audit.push(data);
+          break;
+        case 'model':
+          if (!this.memory.modelVersions.some(v => v.id === data.id)) {
+            this.memory.modelVersions.push(data);
+          }
+          break;
+        case 'scenario':
+          this.memory.scenarios.push(data);
+          break;
+        case 'scenario-evict':
+          this.memory.scenarios = this.memory.scenarios.filter(s => !data.ids.includes(s.id));
+          break;
+        case 'vintages':
+          this.applyVintages(data);
+          break;
+        case 'revision':
+          this.memory.revisions.push(data);
+          break;
+      }
+    }
+
+    const cutoff = Date.now() - EVENT_RETENTION_MS;
+    this.memory.events = this.memory.events.filter(e =>
+      new Date(e.event_time).getTime() > cutoff
+    );
+
+    // The log replays every append, so apply the caps addAudit, addScenario
+    // and addRevision enforce as they go
+    this.memory.audit = this.memory.audit.slice(-AUDIT_LIMIT);
+    this.memory.scenarios = this.memory.scenarios.slice(-SCENARIO_LIMIT);
+    this.memory.revisions = this.memory.revisions.slice(-REVISION_LIMIT);
+
+    logger.info('Restored state from file store', {
+      snapshot: !!snapshot,
+      replayed: entries.length,
+      events: this.memory.events.length
+    });
+
+    if (this.file.needsCompaction()) {
+      await this.file.compact(this.memory);
+    }
+  }
+
+  /**
+   * Append one operation to the file log, compacting when it grows too long
+   */
+  async persistToFile(op, data) {
+    try {
+      await this.file.append(op, data);
+      if (this.file.needsCompaction()) {
+        await this.file.compact(this.memory);
+      }
+    } catch (err) {
+      logger.error('File store write failed', { op, error: err.message });
+    }
+  }
+
   // ============================================================================
   // EVENT OPERATIONS
   // ============================================================================
@@ -83,10 +275,13 @@ class DataStore {
     const exists = this.memory.events.some(e => e.id === event.id);
     if (exists) return false;
 
+    // Outside the retention window - would be pruned immediately
+    const cutoff = Date.now() - EVENT_RETENTION_MS;
+    if (!(new Date(event.event_time).getTime() > cutoff)) return false;
+
     this.memory.events.push(event);
 
     // Keep only last 90 days
-    const cutoff = Date.now() - (90 * 24 * 60 * 60 * 1000);
     this.memory.events = this.memory.events.filter(e =>
       new Date(e.event_time).getTime() > cutoff
     );
@@ -104,6 +299,10 @@ class DataStore {
       }
     }
 
+    if (this.useFile) {
+      await this.persistToFile('event', event);
+    }
+
     return true;
   }
 
@@ -116,6 +315,57 @@ class DataStore {
       .slice(-limit);
   }
 
+  /**
+   * Filtered, sorted and cursor-paginated view of stored events
+   * (options as produced by parseEventQuery)
+   *
+   * @returns {Promise<{events: Object[], total: number, nextCursor: string|null}>}
+   */
+  async queryEvents(options = {}) {
+    const {
+      from = null,
+      to = null,
+      states = null,
+      industries = null,
+      company = null,
+      sources = null,
+      classifications = null,
+      sort = 'desc',
+      limit = 50,
+      cursor = null
+    } = options;
+
+    const direction = sort === 'asc' ? 1 : -1;
+    const compare = (a, b) => {
+      const diff = new Date(a.event_time).getTime() - new Date(b.event_time).getTime();
+      if (diff !== 0) return direction * diff;
+      return direction * (a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+    };
+
+    const matching = this.memory.events.filter(e => {
+      const time = new Date(e.event_time).getTime();
+      if (from != null && time < from) return false;
+      if (to != null && time > to) return false;
+      if (states && !states.includes(e.state)) return false;
+      if (industries && !industries.includes(String(e.industry || '').toLowerCase())) return false;
+      if (company && !String(e.company || '').toLowerCase().includes(company)) return false;
+      if (sources && !sources.includes(e.source)) return false;
+      if (classifications && !classifications.includes(e.ai_classification)) return false;
+      return true;
+    }).sort(compare);
+
+    const remaining = cursor
+      ? matching.filter(e => compare(e, { event_time: cursor.t, id: cursor.id }) > 0)
+      : matching;
+    const events = remaining.slice(0, limit);
+
+    return {
+      events,
+      total: matching.length,
+      nextCursor: remaining.length > limit ? encodeCursor(events[events.length - 1]) : null
+    };
+  }
+
   async getRecentEvents(days = 7) {
     return this.getEvents({ days });
   }
@@ -138,6 +388,10 @@ class DataStore {
         logger.error('Redis counter update failed', { error: err.message });
       }
     }
+
+    if (this.useFile) {
+      await this.persistToFile('counters', this.memory.counters);
+    }
   }
 
   getCounters() {
@@ -148,7 +402,7 @@ class DataStore {
     this.memory.counters.total += totalDelta;
     this.memory.counters.ai += aiDelta;
 
-    // Persist to Redis periodically (every 10 seconds)
+    // Persist periodically (every 10 seconds)
     if (this.useRedis && Math.random() < 0.1) {
       try {
         await this.redis.set('nowcast:counters', JSON.stringify(this.memory.counters));
@@ -156,6 +410,91 @@ class DataStore {
         logger.error('Redis counter persist failed', { error: err.message });
       }
     }
+
+    if (this.useFile && Math.random() < 0.1) {
+      await this.persistToFile('counters', this.memory.counters);
+    }
+  }
+
+  // ============================================================================
+  // COUNTER ANCHOR (shared by every instance, see src/model/counter.js)
+  // ============================================================================
+
+  /**
+   * Store a counter anchor unless a newer one (later `at`) is already stored
+   *
+   * @param {Object} anchor - { value, at, perSecond, ... }
+   * @returns {Promise<Object>} The anchor now stored - the argument, or the newer one that won
+   */
+  async setCounterAnchor(anchor) {
+    const current = this.memory.counterAnchor;
+    if (current && current.at > anchor.at) return current;
+    this.memory.counterAnchor = anchor;
+
+    if (this.useRedis) {
+      try {
+        const stored = await this.redis.eval(SET_ANCHOR_SCRIPT, 1, 'nowcast:anchor', JSON.stringify(anchor), anchor.at);
+        this.memory.counterAnchor = JSON.parse(stored);
+      } catch (err) {
+        logger.error('Redis anchor update failed', { error: err.message });
+      }
+    }
+
+    if (this.useFile) {
+      await this.persistToFile('anchor', anchor);
+    }
+
+    return this.memory.counterAnchor;
+  }
+
+  getCounterAnchor() {
+    return this.memory.counterAnchor;
+  }
+
+  /**
+   * Re-read the anchor other instances may have written since startup
+   */
+  async loadCounterAnchor() {
+    if (this.useRedis) {
+      try {
+        const anchor = await this.redis.get('nowcast:anchor');
+        if (anchor) this.memory.counterAnchor = JSON.parse(anchor);
+      } catch (err) {
+        logger.error('Redis anchor read failed', { error: err.message });
+      }
+    }
+    return this.memory.counterAnchor;
+  }
+
+  // ============================================================================
+  // LEASES
+  // ============================================================================
+
+  /**
+   * Take or renew a named lease. Granted when it is free, expired or
+   * already held by `holder`; it lapses unless renewed within `ttlMs`.
+   * Only the Redis driver shares leases between processes.
+   *
+   * @param {string} name
+   * @param {string} holder - Instance id
+   * @param {number} ttlMs
+   * @returns {Promise<boolean>} Whether `holder` now holds the lease
+   */
+  async claimLease(name, holder, ttlMs) {
+    if (this.useRedis) {
+      try {
+        return await this.redis.eval(CLAIM_LEASE_SCRIPT, 1, `nowcast:lease:${name}`, holder, ttlMs) === 1;
+      } catch (err) {
+        logger.error('Redis lease claim failed', { name, error: err.message });
+        return false;
+      }
+    }
+
+    const now = Date.now();
+    const current = this.leases.get(name);
+    if (current && current.holder !== holder && current.expiresAt > now) return false;
+    this.leases.set(name, { holder, expiresAt: now + ttlMs });
+    return true;
   }
 
   // ============================================================================
@@ -172,6 +511,10 @@ class DataStore {
         logger.error('Redis state update failed', { error: err.message });
       }
     }
+
+    if (this.useFile) {
+      await this.persistToFile('state', this.memory.state);
+    }
   }
 
   getState() {
@@ -192,12 +535,220 @@ class DataStore {
         logger.error('Redis JOLTS update failed', { error: err.message });
       }
     }
+
+    if (this.useFile) {
+      await this.persistToFile('jolts', data);
+    }
   }
 
   getJoltsAnchor() {
     return this.memory.joltsAnchor;
   }
 
+  // ============================================================================
+  // MODEL REGISTRY (admin-edited companies and exposure rates)
+  // ============================================================================
+
+  async setRegistry(data) {
+    this.memory.registry = data;
+
+    if (this.useRedis) {
+      try {
+        await this.redis.set('nowcast:registry', JSON.stringify(data));
+      } catch (err) {
+        logger.error('Redis registry update failed', { error: err.message });
+      }
+    }
+
+    if (this.useFile) {
+      await this.persistToFile('registry', data);
+    }
+  }
+
+  getRegistry() {
+    return this.memory.registry;
+  }
+
+  /**
+   * Re-read the registry and model versions after another instance
+   * changed them (a model-update message)
+   */
+  async reloadModel() {
+    if (!this.useRedis) return;
+
+    try {
+      const registry = await this.redis.get('nowcast:registry');
+      if (registry) {
+        this.memory.registry = JSON.parse(registry);
+      }
+
+      const versions = await this.redis.lrange('nowcast:models', 0, -1);
+      this.memory.modelVersions = versions.map(version => JSON.parse(version));
+    } catch (err) {
+      logger.error('Failed to reload model from Redis', { error: err.message });
+    }
+  }
+
+  // ============================================================================
+  // AUDIT TRAIL
+  // ============================================================================
+
+  async addAudit(entry) {
+    this.memory.audit.push(entry);
+    if (this.memory.audit.length > AUDIT_LIMIT) {
+      this.memory.audit = this.memory.audit.slice(-AUDIT_LIMIT);
+    }
+
+    if (this.useRedis) {
+      try {
+        await this.redis.rpush('nowcast:audit', JSON.stringify(entry));
+        await this.redis.ltrim('nowcast:audit', -AUDIT_LIMIT, -1);
+      } catch (err) {
+        logger.error('Redis audit append failed', { error: err.message });
+      }
+    }
+
+    if (this.useFile) {
+      await this.persistToFile('audit', entry);
+    }
+  }
+
+  getAudit(options = {}) {
+    const { limit = 100 } = options;
+    return this.memory.audit.slice(-limit).reverse();
+  }
+
+  // ============================================================================
+  // MODEL VERSIONS (immutable parameter snapshots, append-only)
+  // ============================================================================
+
+  async addModelVersion(version) {
+    if (this.memory.modelVersions.some(v => v.id === version.id)) return false;
+    this.memory.modelVersions.push(version);
+
+    if (this.useRedis) {
+      try {
+        await this.redis.rpush('nowcast:models', JSON.stringify(version));
+      } catch (err) {
+        logger.error('Redis model version append failed', { error: err.message });
+      }
+    }
+
+    if (this.useFile) {
+      await this.persistToFile('model', version);
+    }
+
+    return true;
+  }
+
+  getModelVersions() {
+    return this.memory.modelVersions;
+  }
+
+  // ============================================================================
+  // SAVED SCENARIOS
+  // ============================================================================
+
+  async addScenario(scenario) {
+    this.memory.scenarios.push(scenario);
+
+    // Oldest scenarios are evicted past the cap
+    const evicted = this.memory.scenarios.slice(0, Math.max(0, this.memory.scenarios.length - SCENARIO_LIMIT));
+    if (evicted.length) {
+      this.memory.scenarios = this.memory.scenarios.slice(-SCENARIO_LIMIT);
+    }
+    const evictedIds = evicted.map(s => s.id);
+
+    if (this.useRedis) {
+      try {
+        await this.redis.hset('nowcast:scenarios', scenario.id, JSON.stringify(scenario));
+        if (evictedIds.length) await this.redis.hdel('nowcast:scenarios', ...evictedIds);
+      } catch (err) {
+        logger.error('Redis scenario save failed', { error: err.message });
+      }
+    }
+
+    if (this.useFile) {
+      await this.persistToFile('scenario', scenario);
+      if (evictedIds.length) await this.persistToFile('scenario-evict', { ids: evictedIds });
+    }
+  }
+
+  getScenario(id) {
+    return this.memory.scenarios.find(s => s.id === id) || null;
+  }
+
+  // ============================================================================
+  // JOLTS VINTAGES AND REVISIONS
+  // ============================================================================
+
+  /**
+   * Open a vintage for each changed observation, closing the one it replaces
+   *
+   * @param {string} series - FRED series id
+   * @param {Array<{date, value}>} changes
+   * @param {string} realtimeStart - Fetch date (YYYY-MM-DD)
+   */
+  async addVintages(series, changes, realtimeStart) {
+    if (!changes.length) return;
+    const data = { series, changes: changes.map(({ date, value }) => ({ date, value })), realtimeStart };
+    this.applyVintages(data);
+
+    if (this.useRedis) {
+      try {
+        await this.redis.hset('nowcast:vintages', series, JSON.stringify(this.memory.vintages[series]));
+      } catch (err) {
+        logger.error('Redis vintage save failed', { error: err.message });
+      }
+    }
+
+    if (this.useFile) {
+      await this.persistToFile('vintages', data);
+    }
+  }
+
+  applyVintages({ series, changes, realtimeStart }) {
+    const dates = this.memory.vintages[series] = this.memory.vintages[series] || {};
+    for (const { date, value } of changes) {
+      const records = dates[date] = dates[date] || [];
+      const open = records.find(v => v.realtime_end === null);
+      if (open) open.realtime_end = realtimeStart;
+      records.push({ value, realtime_start: realtimeStart, realtime_end: null });
+    }
+  }
+
+  /**
+   * @returns {Object} { date: [{value, realtime_start, realtime_end}] } for the series
+   */
+  getVintages(series) {
+    return this.memory.vintages[series] || {};
+  }
+
+  async addRevision(revision) {
+    this.memory.revisions.push(revision);
+    if (this.memory.revisions.length > REVISION_LIMIT) {
+      this.memory.revisions = this.memory.revisions.slice(-REVISION_LIMIT);
+    }
+
+    if (this.useRedis) {
+      try {
+        await this.redis.rpush('nowcast:revisions', JSON.stringify(revision));
+        await this.redis.ltrim('nowcast:revisions', -REVISION_LIMIT, -1);
+      } catch (err) {
+        logger.error('Redis revision append failed', { error: err.message });
+      }
+    }
+
+    if (this.useFile) {
+      await this.persistToFile('revision', revision);
+    }
+  }
+
+  getRevisions(options = {}) {
+    const { limit = 20 } = options;
+    return this.memory.revisions.slice(-limit).reverse();
+  }
+
   // ============================================================================
   // HEALTH CHECK
   // ============================================================================
@@ -205,6 +756,7 @@ class DataStore {
   async healthCheck() {
     const health = {
       memoryStore: true,
+      driver: this.useRedis ? 'redis' : this.useFile ? 'file' : 'memory',
       redisEnabled: config.redis.enabled,
       redisConnected: false,
       eventCount: this.memory.events.length
@@ -223,6 +775,8 @@ class DataStore {
   }
 }
 
-// Singleton instance
+// Singleton instance; the class is exposed for tests that need a fresh store
 const store = new DataStore();
 module.exports = store;
+module.exports.DataStore = DataStore;
+module.exports.limits = { AUDIT_LIMIT, SCENARIO_LIMIT, REVISION_LIMIT };
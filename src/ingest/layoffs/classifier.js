@@ -0,0 +1,70 @@
+/**
+ * AI-Reason Classifier for Layoff Announcements
+ *
+ * Rule-based and deliberately conservative:
+ *   ai-cited    - the announcement attributes the cuts to AI/automation
+ *   ai-adjacent - AI is mentioned, but not as the stated reason
+ *   unrelated   - no AI language at all
+ *
+ * Every match is recorded so a classification can be audited by hand.
+ */
+
+const AI_TERMS = '(?:ai|a\\.i\\.|artificial intelligence|generative ai|gen ?ai|chatbots?|llms?|large language models?|ai agents?|ai tools?)';
+
+// Explicit causal links between AI and the job cuts
+const CITED_RULES = [
+  new RegExp(`\\b(?:replac|substitut|automat)\\w*(?: \\w+){0,4} (?:by|with) ${AI_TERMS}\\b`, 'i'),
+  new RegExp(`\\b(?:due to|because of|driven by|as a result of|owing to|citing|cited) (?:\\w+ ){0,2}${AI_TERMS}\\b`, 'i'),
+  new RegExp(`\\b${AI_TERMS}[- ](?:driven|related|linked|fueled|induced) (?:layoffs?|job cuts?|cuts|reductions?)\\b`, 'i'),
+  new RegExp(`\\b${AI_TERMS} (?:can|could|will|now) (?:do|handle|perform|take over)\\b`, 'i'),
+  new RegExp(`\\b(?:roles?|jobs?|positions?|work) (?:\\w+ ){0,3}(?:now )?(?:handled|done|performed) by ${AI_TERMS}\\b`, 'i'),
+  new RegExp(`\\b(?:shift|pivot|move|transition)(?:ing|s|ed)? (?:\\w+ ){0,2}(?:to|toward|towards) ${AI_TERMS}\\b`, 'i')
+];
+
+// AI or automation mentioned without a stated causal link
+const ADJACENT_RULES = [
+  new RegExp(`\\b${AI_TERMS}\\b`, 'i'),
+  /\bmachine learning\b/i,
+  /\bautomation\b/i,
+  /\bautomat(?:e|ed|ing)\b/i,
+  /\bchatgpt\b/i,
+  /\b(?:invest|investing|investment) in (?:automation|machine learning)\b/i
+];
+
+function matchAll(rules, text) {
+  const matches = [];
+  for (const rule of rules) {
+    const match = text.match(rule);
+    if (match && !matches.includes(match[0].toLowerCase())) {
+      matches.push(match[0].toLowerCase());
+    }
+  }
+  return matches;
+}
+
+/**
+ * @param {string} text - Headline and body of the announcement
+ * @returns {{classification: string, matches: string[]}}
+ */
+function classifyAnnouncement(text) {
+  const body = String(text || '').replace(/\s+/g, ' ');
+
+  const cited = matchAll(CITED_RULES, body);
+  if (cited.length) {
+    return { classification: 'ai-cited', matches: cited };
+  }
+
+  const adjacent = matchAll(ADJACENT_RULES, body);
+  if (adjacent.length) {
+    return { classification: 'ai-adjacent', matches: adjacent };
+  }
+
+  return { classification: 'unrelated', matches: [] };
+}
+
+const CLASSIFICATIONS = ['ai-cited', 'ai-adjacent', 'unrelated'];
+
+module.exports = {
+  classifyAnnouncement,
+  CLASSIFICATIONS
+};
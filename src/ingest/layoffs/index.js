@@ -0,0 +1,131 @@
+/**
+ * Layoff Announcement Ingestion
+ *
+ * Reads announcements from the configured feed (config.ingest.layoffsFeed),
+ * tags each one with the AI-reason classifier and stores it through
+ * DataStore.addEvent. Tagged events feed the nowcast as a high-frequency
+ * signal and are listed by /api/events.
+ */
+
+const crypto = require('crypto');
+const config = require('../../config');
+const logger = require('../../logger');
+const store = require('../../data/store');
+const { loadFeed } = require('./sources');
+const { classifyAnnouncement } = require('./classifier');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const HEADCOUNT_PATTERN = /\b(\d{1,3}(?:,\d{3})+|\d+)\s+(?:\w+\s+){0,2}(?:jobs|workers|employees|staff|staffers|people|roles|positions)\b/i;
+const COMPANY_PATTERN = /^(.+?)\s+(?:to\s+)?(?:lays?\s+off|laying\s+off|cuts?|cutting|slashes|eliminates|announces|plans|will\s+cut|is\s+cutting)\b/i;
+
+function hashId(value) {
+  return crypto.createHash('sha1').update(value).digest('hex').slice(0, 16);
+}
+
+/**
+ * Raw feed item → store event. Returns null for items without a usable date.
+ */
+function normalizeAnnouncement(item) {
+  const text = `${item.title} ${item.summary}`.trim();
+  const time = Date.parse(item.date);
+  if (!text || !Number.isFinite(time)) return null;
+
+  const headcountMatch = text.match(HEADCOUNT_PATTERN);
+  const headcount = item.headcount != null
+    ? parseInt(String(item.headcount).replace(/[^\d]/g, '')) || null
+    : headcountMatch ? parseInt(headcountMatch[1].replace(/,/g, '')) : null;
+
+  const company = item.company || item.title.match(COMPANY_PATTERN)?.[1]?.trim() || null;
+  const { classification, matches } = classifyAnnouncement(text);
+
+  return {
+    id: `layoff-${hashId(item.id || item.url || `${item.title}|${item.date}`)}`,
+    source: 'layoffs',
+    company,
+    headcount,
+    state: item.state,
+    industry: item.industry,
+    title: item.title,
+    summary: item.summary,
+    url: item.url,
+    event_time: new Date(time).toISOString(),
+    ai_classification: classification,
+    ai_matches: matches
+  };
+}
+
+/**
+ * @param {Object} [options]
+ * @param {Object} [options.feed] - { location, format }; defaults to config.ingest.layoffsFeed
+ * @param {Object} [options.target] - Store to write to (defaults to the DataStore)
+ * @returns {Promise<{parsed: number, added: Object[]}>}
+ */
+async function ingestLayoffAnnouncements(options = {}) {
+  const feed = options.feed || config.ingest.layoffsFeed;
+  const target = options.target || store;
+
+  if (!feed?.location) {
+    logger.debug('No layoffs feed configured, skipping');
+    return { parsed: 0, added: [] };
+  }
+
+  const events = (await loadFeed(feed)).map(normalizeAnnouncement).filter(Boolean);
+  const added = [];
+  for (const event of events) {
+    if (await target.addEvent(event)) added.push(event);
+  }
+
+  logger.info('Layoff announcement ingestion complete', {
+    parsed: events.length,
+    added: added.length,
+    aiCited: added.filter(e => e.ai_classification === 'ai-cited').length
+  });
+
+  return { parsed: events.length, added };
+}
+
+/**
+ * Daily AI-displacement rate implied by recent announcements.
+ *
+ * AI-cited headcount counts in full, AI-adjacent headcount at the
+ * baseline AI share; the sum is scaled up by the capture rate (the
+ * fraction of all layoffs that get a public announcement).
+ *
+ * @param {Object[]} events - Stored layoff events
+ * @returns {{dailyRate: number, events: number, aiCited: number, aiAdjacent: number}}
+ */
+function announcementSignal(events, options = {}) {
+  const {
+    days = 30,
+    captureRate = config.model.captureRate,
+    aiShareBaseline = config.model.aiShareBaseline,
+    now = Date.now()
+  } = options;
+  const cutoff = now - days * DAY_MS;
+
+  let aiCited = 0, aiAdjacent = 0, count = 0;
+  for (const event of events) {
+    if (event.source !== 'layoffs' || !event.headcount) continue;
+    if (new Date(event.event_time).getTime() <= cutoff) continue;
+
+    if (event.ai_classification === 'ai-cited') aiCited += event.headcount;
+    else if (event.ai_classification === 'ai-adjacent') aiAdjacent += event.headcount;
+    else continue;
+    count++;
+  }
+
+  const announced = aiCited + aiAdjacent * aiShareBaseline;
+  return {
+    dailyRate: announced / captureRate / days,
+    events: count,
+    aiCited,
+    aiAdjacent
+  };
+}
+
+module.exports = {
+  ingestLayoffAnnouncements,
+  normalizeAnnouncement,
+  announcementSignal
+};
@@ -0,0 +1,88 @@
+/**
+ * Layoff Announcement Feed Sources
+ *
+ * A feed is a local file path or an http(s) URL, in one of two formats:
+ *   json - array of { id?, company, headcount?, date, title?, summary?, url?, state?, industry? }
+ *          (or { items: [...] })
+ *   rss  - RSS 2.0 <item> or Atom <entry> elements
+ */
+
+const fs = require('fs');
+const config = require('../../config');
+const { decodeEntities } = require('../tables');
+
+const FETCH_TIMEOUT_MS = 30 * 1000;
+
+async function readFeed(location) {
+  if (/^https?:\/\//i.test(location)) {
+    const response = await fetch(location, {
+      headers: { 'User-Agent': config.ingest.userAgent },
+      signal: AbortSignal.timeout(FETCH_TIMEOUT_MS)
+    });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return response.text();
+  }
+  return fs.promises.readFile(location, 'utf8');
+}
+
+function parseJsonFeed(text) {
+  const data = JSON.parse(text);
+  const items = Array.isArray(data) ? data : data.items;
+  if (!Array.isArray(items)) throw new Error('JSON feed must be an array or { items: [] }');
+
+  return items.map(item => ({
+    id: item.id || null,
+    company: item.company || null,
+    headcount: item.headcount ?? null,
+    date: item.date || item.published || null,
+    title: item.title || '',
+    summary: item.summary || item.description || '',
+    url: item.url || item.link || null,
+    state: item.state || null,
+    industry: item.industry || null
+  }));
+}
+
+function tagText(xml, ...tags) {
+  for (const tag of tags) {
+    const match = xml.match(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, 'i'));
+    if (match) {
+      const text = match[1].replace(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/, '$1');
+      return decodeEntities(text.replace(/<[^>]+>/g, ' ')).replace(/\s+/g, ' ').trim();
+    }
+  }
+  return '';
+}
+
+function parseRssFeed(text) {
+  const blocks = [...text.matchAll(/<(item|entry)[\s>][\s\S]*?<\/\1>/gi)].map(m => m[0]);
+
+  return blocks.map(xml => {
+    const atomLink = xml.match(/<link[^>]*href="([^"]+)"/i);
+    return {
+      id: tagText(xml, 'guid', 'id') || null,
+      company: null,
+      headcount: null,
+      date: tagText(xml, 'pubDate', 'published', 'updated', 'dc:date') || null,
+      title: tagText(xml, 'title'),
+      summary: tagText(xml, 'description', 'summary', 'content'),
+      url: tagText(xml, 'link') || atomLink?.[1] || null,
+      state: null,
+      industry: null
+    };
+  });
+}
+
+/**
+ * Load and parse a configured feed into raw announcement items
+ */
+async function loadFeed(feed) {
+  const text = await readFeed(feed.location);
+  return feed.format === 'rss' ? parseRssFeed(text) : parseJsonFeed(text);
+}
+
+module.exports = {
+  loadFeed,
+  parseJsonFeed,
+  parseRssFeed
+};
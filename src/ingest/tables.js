@@ -0,0 +1,101 @@
+/**
+ * Table Extraction
+ *
+ * Minimal HTML-table, CSV and entity helpers for ingested pages and feeds.
+ * WARN pages are plain tables, so this avoids pulling in a full DOM parser.
+ */
+
+const ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' '
+};
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, code) => {
+    if (code[0] === '#') {
+      const n = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1));
+      return Number.isFinite(n) ? String.fromCodePoint(n) : match;
+    }
+    return ENTITIES[code.toLowerCase()] ?? match;
+  });
+}
+
+function cellText(html) {
+  return decodeEntities(
+    html
+      .replace(/<br\s*\/?>/gi, ' ')
+      .replace(/<[^>]+>/g, '')
+  ).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Every <table> in the page as an array of rows of cell text
+ */
+function parseHtmlTables(html) {
+  const tables = [];
+  const withoutScripts = html.replace(/<(script|style)[\s\S]*?<\/\1>/gi, '');
+
+  for (const [, tableHtml] of withoutScripts.matchAll(/<table[^>]*>([\s\S]*?)<\/table>/gi)) {
+    const rows = [];
+    for (const [, rowHtml] of tableHtml.matchAll(/<tr[^>]*>([\s\S]*?)<\/tr>/gi)) {
+      const cells = [...rowHtml.matchAll(/<t[hd][^>]*>([\s\S]*?)<\/t[hd]>/gi)].map(m => cellText(m[1]));
+      if (cells.length) rows.push(cells);
+    }
+    if (rows.length) tables.push(rows);
+  }
+
+  return tables;
+}
+
+/**
+ * RFC 4180-style CSV: quoted fields may contain commas, quotes ("") and newlines
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field.trim());
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field.trim());
+      if (row.some(c => c !== '')) rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+
+  row.push(field.trim());
+  if (row.some(c => c !== '')) rows.push(row);
+
+  return [rows];
+}
+
+module.exports = {
+  parseHtmlTables,
+  parseCsv,
+  decodeEntities
+};
@@ -0,0 +1,109 @@
+/**
+ * WARN Notice Normalization
+ *
+ * Turns raw parsed rows into store events with a stable id, so the same
+ * notice seen on every hourly fetch is only stored once.
+ */
+
+const crypto = require('crypto');
+
+const MONTHS = {
+  jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6,
+  jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12
+};
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+// YYYY-MM-DD, or null when the parts are not a calendar date (13/01/2025)
+function formatDate(year, month, day) {
+  const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+  if (isNaN(date) || date.getUTCMonth() !== Number(month) - 1 || date.getUTCDate() !== Number(day)) {
+    return null;
+  }
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+/**
+ * Parse the date formats seen on state pages into YYYY-MM-DD (or null)
+ *   10/15/2025, 10/15/25, 2025-10-15, Oct 15, 2025, 15-Oct-2025
+ */
+function parseDate(text) {
+  if (!text) return null;
+  const value = text.trim();
+  let m;
+
+  if ((m = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/))) {
+    return formatDate(m[1], m[2], m[3]);
+  }
+  if ((m = value.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2,4})/))) {
+    const year = m[3].length === 2 ? `20${m[3]}` : m[3];
+    return formatDate(year, m[1], m[2]);
+  }
+  if ((m = value.match(/^([a-z]{3})[a-z]*\.? (\d{1,2}),? (\d{4})/i)) && MONTHS[m[1].toLowerCase()]) {
+    return formatDate(m[3], MONTHS[m[1].toLowerCase()], m[2]);
+  }
+  if ((m = value.match(/^(\d{1,2})-([a-z]{3})-(\d{2,4})/i)) && MONTHS[m[2].toLowerCase()]) {
+    const year = m[3].length === 2 ? `20${m[3]}` : m[3];
+    return formatDate(year, MONTHS[m[2].toLowerCase()], m[1]);
+  }
+
+  return null;
+}
+
+function parseHeadcount(text) {
+  const n = parseInt(String(text || '').replace(/[^\d]/g, ''));
+  return Number.isFinite(n) ? n : null;
+}
+
+function cleanText(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+function noticeId(state, notice) {
+  const key = [
+    state,
+    notice.company.toLowerCase(),
+    notice.location.toLowerCase(),
+    notice.notice_date || '',
+    notice.effective_date || '',
+    notice.headcount ?? ''
+  ].join('|');
+  return `warn-${state.toLowerCase()}-${crypto.createHash('sha1').update(key).digest('hex').slice(0, 16)}`;
+}
+
+/**
+ * Raw parsed row → store event. Returns null for rows without a usable date;
+ * an unparseable notice date falls back to the effective date.
+ */
+function normalizeNotice(state, raw, sourceUrl = null) {
+  const notice = {
+    company: cleanText(raw.company),
+    location: cleanText(raw.location),
+    headcount: parseHeadcount(raw.headcount),
+    notice_date: parseDate(raw.noticeDate),
+    effective_date: parseDate(raw.effectiveDate)
+  };
+
+  const eventDate = notice.notice_date || notice.effective_date;
+  if (!notice.company || !eventDate) return null;
+
+  const eventTime = new Date(`${eventDate}T00:00:00Z`);
+  if (isNaN(eventTime)) return null;
+
+  return {
+    id: noticeId(state, notice),
+    source: 'warn',
+    state,
+    ...notice,
+    event_time: eventTime.toISOString(),
+    source_url: sourceUrl
+  };
+}
+
+module.exports = {
+  normalizeNotice,
+  parseDate,
+  parseHeadcount
+};
@@ -0,0 +1,99 @@
+/**
+ * Per-State WARN Parsers
+ *
+ * Each state publishes notices with its own column names (and changes
+ * them now and then), so every parser lists the header aliases it accepts.
+ * The first table whose header row matches company + headcount is used.
+ */
+
+const { parseHtmlTables, parseCsv } = require('../tables');
+
+const STATE_COLUMNS = {
+  CA: {
+    company: ['company', 'company name'],
+    location: ['location', 'address', 'city', 'county', 'county/parish'],
+    headcount: ['no. of employees', 'no of employees', 'employees', 'number of employees'],
+    noticeDate: ['notice date', 'received date', 'date received'],
+    effectiveDate: ['effective date', 'layoff date']
+  },
+  NY: {
+    company: ['company name', 'company', 'employer'],
+    location: ['location', 'city', 'region', 'county'],
+    headcount: ['number affected', 'total employees affected', 'employees affected', 'number of affected workers'],
+    noticeDate: ['date of notice', 'notice dated', 'notice date', 'date posted'],
+    effectiveDate: ['layoff date', 'closing date', 'effective date']
+  },
+  TX: {
+    company: ['job_site_name', 'company name', 'company', 'employer'],
+    location: ['city_name', 'city', 'county_name', 'county', 'location'],
+    headcount: ['total_layoff_number', 'total layoff number', 'number of employees affected', 'employees'],
+    noticeDate: ['notice_date', 'notice date', 'date received'],
+    effectiveDate: ['layoff_date', 'layoff date', 'effective date']
+  },
+  WA: {
+    company: ['company', 'company name', 'employer'],
+    location: ['location', 'city', 'address'],
+    headcount: ['# of workers', 'number of workers', 'workers affected', 'employees affected'],
+    noticeDate: ['received date', 'notice date', 'date received'],
+    effectiveDate: ['layoff start date', 'layoff date', 'effective date']
+  }
+};
+
+function normalizeHeader(text) {
+  return text.toLowerCase().replace(/\s+/g, ' ').replace(/:$/, '').trim();
+}
+
+// Map each field to the index of the first header matching one of its aliases
+function mapColumns(header, columns) {
+  const names = header.map(normalizeHeader);
+  const mapping = {};
+  for (const [field, aliases] of Object.entries(columns)) {
+    const index = names.findIndex(name => aliases.includes(name));
+    if (index !== -1) mapping[field] = index;
+  }
+  return mapping;
+}
+
+/**
+ * Pull raw notices out of the parsed tables using a state's column aliases
+ */
+function extractNotices(tables, columns) {
+  for (const rows of tables) {
+    const headerIndex = rows.findIndex(row => {
+      const mapping = mapColumns(row, columns);
+      return mapping.company !== undefined && mapping.headcount !== undefined;
+    });
+    if (headerIndex === -1) continue;
+
+    const mapping = mapColumns(rows[headerIndex], columns);
+    return rows.slice(headerIndex + 1)
+      .map(row => {
+        const notice = {};
+        for (const [field, index] of Object.entries(mapping)) {
+          notice[field] = row[index] ?? '';
+        }
+        return notice;
+      })
+      .filter(notice => notice.company);
+  }
+
+  return [];
+}
+
+function createParser(state) {
+  const columns = STATE_COLUMNS[state];
+  return (body, format = 'html') => {
+    const tables = format === 'csv' ? parseCsv(body) : parseHtmlTables(body);
+    return extractNotices(tables, columns);
+  };
+}
+
+const parsers = Object.fromEntries(
+  Object.keys(STATE_COLUMNS).map(state => [state, createParser(state)])
+);
+
+module.exports = {
+  parsers,
+  STATE_COLUMNS,
+  extractNotices
+};
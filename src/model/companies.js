@@ -1,6 +1,9 @@
 /**
  * AI Job Displacement Attribution Model v2
  * 
+ * Server-side module: used by GET /api/companies and by the frontend
+ * through that endpoint.
+ * 
  * ═══════════════════════════════════════════════════════════════════════════════
  * EDGE CASES AND FACTORS ADDRESSED
  * ═══════════════════════════════════════════════════════════════════════════════
@@ -55,13 +58,14 @@
  * Then normalize so all companies sum to total displacement.
  */
 
+const logger = require('../logger');
+
 // ============================================================================
 // CONSTANTS
 // ============================================================================
 
 const AI_ERA_START = new Date('2022-11-30'); // ChatGPT launch
-const CURRENT_DATE = new Date('2026-02-01');
-const MONTHS_SINCE_AI_ERA = Math.floor((CURRENT_DATE - AI_ERA_START) / (1000 * 60 * 60 * 24 * 30));
+const MONTH_MS = 1000 * 60 * 60 * 24 * 30;
 
 // ============================================================================
 // CATEGORY DEFINITIONS - Based on BLS/McKinsey AI exposure research
@@ -1125,7 +1129,17 @@ const ENTERPRISE_MULT = {
   consumer: 0.15      // Consumer apps = minimal job impact
 };
 
-function calculateDeploymentMaturity(company) {
+// Adoption curve: maturity level at each breakpoint (months since launch),
+// linear in between and flat after the last one.
+// 0-6 months: 0.2 to 0.5, 6-12 months: 0.5 to 0.75, 12-24 months: 0.75 to 1.0
+const MATURITY_CURVE = [
+  { months: 0, level: 0.2 },
+  { months: 6, level: 0.5 },
+  { months: 12, level: 0.75 },
+  { months: 24, level: 1.0 }
+];
+
+function calculateDeploymentMaturity(company, asOf = new Date(), curve = MATURITY_CURVE) {
   // No product = no displacement
   if (!company.productLaunch) {
     return 0;
@@ -1133,54 +1147,70 @@ function calculateDeploymentMaturity(company) {
   
   const productLaunch = new Date(company.productLaunch);
   
-  // Product launched after current date = no displacement yet
-  if (productLaunch > CURRENT_DATE) {
+  // Product launched after the as-of date = no displacement yet
+  if (productLaunch > asOf) {
     return 0;
   }
   
   // Months since launch
-  const monthsSinceLaunch = Math.floor((CURRENT_DATE - productLaunch) / (1000 * 60 * 60 * 24 * 30));
+  const monthsSinceLaunch = Math.floor((asOf - productLaunch) / MONTH_MS);
+  const monthsSinceAIEra = Math.max(0, Math.floor((asOf - AI_ERA_START) / MONTH_MS));
   
   // If launched before AI era, only count from AI era (Nov 2022)
   // because pre-ChatGPT AI had much lower adoption
   const effectiveMonths = productLaunch < AI_ERA_START 
-    ? Math.min(monthsSinceLaunch, MONTHS_SINCE_AI_ERA)
+    ? Math.min(monthsSinceLaunch, monthsSinceAIEra)
     : monthsSinceLaunch;
   
-  // Adoption curve: 6 months to ramp, peaks at 24 months
-  // 0-6 months: 0.2 to 0.5
-  // 6-12 months: 0.5 to 0.75
-  // 12-24 months: 0.75 to 1.0
-  // 24+ months: 1.0
-  
-  if (effectiveMonths <= 6) {
-    return 0.2 + (effectiveMonths / 6) * 0.3;
-  } else if (effectiveMonths <= 12) {
-    return 0.5 + ((effectiveMonths - 6) / 6) * 0.25;
-  } else if (effectiveMonths <= 24) {
-    return 0.75 + ((effectiveMonths - 12) / 12) * 0.25;
-  } else {
-    return 1.0;
+  // 6 months to ramp, peaks at 24 months (see MATURITY_CURVE)
+  for (let i = 1; i < curve.length; i++) {
+    const from = curve[i - 1];
+    const to = curve[i];
+    if (effectiveMonths <= to.months) {
+      return from.level + ((effectiveMonths - from.months) / (to.months - from.months)) * (to.level - from.level);
+    }
   }
+  return curve[curve.length - 1].level;
 }
 
-function calculateDisplacementScores(companies, totalDisplacement) {
+/**
+ * URL-safe identifier for a company ("Scale AI" → "scale-ai")
+ */
+function slugify(name) {
+  return name
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Steps 1-2 of the attribution: every company's six factors and raw score
+ *
+ * @param {Object} [params] - Overrides from a model version, scenario or sensitivity run:
+ *   { allocations: {category: share}, typeMult, enterpriseMult, maturityCurve }
+ */
+function scoreCompanies(companies, asOf = new Date(), params = {}) {
+  const typeMult = params.typeMult || DISPLACEMENT_TYPE_MULT;
+  const enterpriseMult = params.enterpriseMult || ENTERPRISE_MULT;
+  
   // Step 1: Group companies by category
   const byCategory = {};
   for (const cat of Object.keys(DISPLACEMENT_CATEGORIES)) {
-    byCategory[cat] = companies.filter(c => c.category === cat);
+    byCategory[cat] = companies.filter(c => c.category === cat && !c.retired);
   }
   
-  // Step 2: Calculate raw scores for each company
-  const scored = companies.map(company => {
+  // Step 2: Calculate raw scores for each company (retired companies drop out)
+  const scored = companies.filter(c => !c.retired).map(company => {
     const category = DISPLACEMENT_CATEGORIES[company.category];
     if (!category) {
-      console.warn(`Unknown category: ${company.category} for ${company.name}`);
+      logger.warn('Unknown company category', { company: company.name, category: company.category });
       return null;
     }
     
     // Factor 1: Category allocation (what % of total displacement this category represents)
-    const categoryAllocation = category.allocation;
+    const categoryAllocation = params.allocations?.[company.category] ?? category.allocation;
     
     // Factor 2: Market share within category (based on valuation, log-scaled)
     const categoryCompanies = byCategory[company.category];
@@ -1189,16 +1219,18 @@ function calculateDisplacementScores(companies, totalDisplacement) {
     const marketShare = categoryTotalVal > 0 ? companyVal / categoryTotalVal : 0;
     
     // Factor 3: Deployment maturity (based on product launch and time)
-    const deploymentMaturity = calculateDeploymentMaturity(company);
+    const deploymentMaturity = calculateDeploymentMaturity(company, asOf, params.maturityCurve);
     
     // Factor 4: Displacement type (direct, augmentation, infrastructure)
-    const displacementTypeMult = DISPLACEMENT_TYPE_MULT[company.displacementType] || 0.5;
+    const displacementTypeMult = typeMult[company.displacementType] || 0.5;
     
-    // Factor 5: Operational status (is company fully operational?)
-    const operationalFactor = company.operationalStatus || 1.0;
+    // Factor 5: Operational status (is company fully operational?). A record
+    // without one scores as fully operational, listed in `defaults`
+    const defaults = company.operationalStatus == null ? ['operationalStatus'] : [];
+    const operationalFactor = company.operationalStatus ?? 1.0;
     
     // Factor 6: Enterprise level (enterprise vs consumer)
-    const enterpriseFactor = ENTERPRISE_MULT[company.enterpriseLevel] || 0.6;
+    const enterpriseFactor = enterpriseMult[company.enterpriseLevel] || 0.6;
     
     // Raw score = all factors multiplied
     const rawScore = 
@@ -1219,10 +1251,17 @@ function calculateDisplacementScores(companies, totalDisplacement) {
         operationalFactor,
         enterpriseFactor
       },
+      defaults,
       rawScore
     };
   }).filter(Boolean);
   
+  return scored;
+}
+
+function calculateDisplacementScores(companies, totalDisplacement, asOf = new Date(), params = {}) {
+  const scored = scoreCompanies(companies, asOf, params);
+  
   // Step 3: Normalize so all scores sum to totalDisplacement
   const totalRaw = scored.reduce((sum, c) => sum + c.rawScore, 0);
   
@@ -1232,6 +1271,7 @@ function calculateDisplacementScores(companies, totalDisplacement) {
     
     return {
       name: company.name,
+      slug: slugify(company.name),
       industry: company.industry,
       category: company.category,
       valuation: company.valuation,
@@ -1246,6 +1286,7 @@ function calculateDisplacementScores(companies, totalDisplacement) {
         market: company.enterpriseLevel
       },
       rawFactors: company.factors,
+      defaults: company.defaults,
       notes: company.notes
     };
   });
@@ -1260,16 +1301,142 @@ function calculateDisplacementScores(companies, totalDisplacement) {
   }));
 }
 
+// ============================================================================
+// PER-COMPANY DECOMPOSITION
+// ============================================================================
+
+const FACTOR_DESCRIPTIONS = {
+  categoryAllocation: 'Share of total displacement allocated to the company\'s category',
+  marketShare: 'Log-scaled valuation share within the category',
+  deploymentMaturity: 'Adoption curve position based on product launch date',
+  displacementTypeMult: 'Direct replacement, augmentation or infrastructure',
+  operationalFactor: 'Current operational status',
+  enterpriseFactor: 'Enterprise, prosumer or consumer market'
+};
+
+/**
+ * How much each of the six multiplicative factors contributes to one
+ * company's final share.
+ *
+ * A factor's contribution is the share it adds (or removes) relative to
+ * leaving it neutral (1.0) for this company while everyone else is
+ * unchanged - i.e. share − share-without-this-factor, in share points.
+ * `multiplier` is the factor itself, `logWeight` its ln (0 = neutral).
+ * `defaults` lists record fields that were missing and scored at their
+ * default.
+ *
+ * @returns {Object|null} null when the slug is unknown
+ */
+function decomposeCompanyShare(companies, slug, asOf = new Date()) {
+  const scored = scoreCompanies(companies, asOf);
+  const target = scored.find(c => slugify(c.name) === slug);
+  if (!target) return null;
+  
+  const totalRaw = scored.reduce((sum, c) => sum + c.rawScore, 0);
+  const share = totalRaw > 0 ? target.rawScore / totalRaw : 0;
+  
+  const factors = Object.entries(target.factors).map(([name, multiplier]) => {
+    // Raw score with this factor neutralized
+    const others = Object.entries(target.factors)
+      .filter(([other]) => other !== name)
+      .reduce((product, [, value]) => product * value, 1);
+    const neutralTotal = totalRaw - target.rawScore + others;
+    const shareWithout = neutralTotal > 0 ? others / neutralTotal : 0;
+    
+    return {
+      name,
+      description: FACTOR_DESCRIPTIONS[name],
+      multiplier,
+      logWeight: multiplier > 0 ? Math.log(multiplier) : null,
+      shareWithout: shareWithout * 100,
+      contribution: (share - shareWithout) * 100
+    };
+  });
+  
+  return {
+    share: share * 100,
+    rawScore: target.rawScore,
+    totalRawScore: totalRaw,
+    factors,
+    defaults: target.defaults
+  };
+}
+
+/**
+ * Every company's share for each month since the AI era start, scored as of
+ * that month's end (so products launched later contribute nothing earlier,
+ * and maturity ramps up). Scoring is the expensive part of the monthly
+ * series, so callers compute this once and share it across companies.
+ *
+ * @returns {Array<{month: string, shares: Map<string, number>}>} shares by slug, 0-1
+ */
+function monthlyCompanyShares(companies, asOf = new Date()) {
+  const result = [];
+  
+  const cursor = new Date(Date.UTC(AI_ERA_START.getUTCFullYear(), AI_ERA_START.getUTCMonth(), 1));
+  while (cursor <= asOf) {
+    const month = cursor.toISOString().slice(0, 7);
+    cursor.setUTCMonth(cursor.getUTCMonth() + 1);
+    const monthEnd = cursor < asOf ? new Date(cursor - 1) : asOf;
+    
+    const scored = scoreCompanies(companies, monthEnd);
+    const totalRaw = scored.reduce((sum, c) => sum + c.rawScore, 0);
+    const shares = new Map(scored.map(c => [slugify(c.name), totalRaw > 0 ? c.rawScore / totalRaw : 0]));
+    result.push({ month, shares });
+  }
+  
+  return result;
+}
+
+/**
+ * Month-by-month estimated displacement for one company since the AI era start.
+ *
+ * Each month's share (see monthlyCompanyShares) is applied to that month's
+ * AI-attributed total.
+ *
+ * @param {Array} months - Calendar months with a `mid` estimate (expandCalendarMonths)
+ * @param {Array} [monthlyShares] - Precomputed monthlyCompanyShares(companies, asOf)
+ * @returns {Array<{month, share, displacement, cumulative}>|null}
+ */
+function companyMonthlySeries(companies, slug, months, asOf = new Date(), monthlyShares = null) {
+  if (!companies.some(c => slugify(c.name) === slug)) return null;
+  
+  const aiByMonth = new Map(months.map(m => [m.month, m.mid]));
+  const series = [];
+  let cumulative = 0;
+  
+  for (const { month, shares } of monthlyShares || monthlyCompanyShares(companies, asOf)) {
+    const share = shares.get(slug) || 0;
+    const displacement = Math.round((aiByMonth.get(month) || 0) * share);
+    cumulative += displacement;
+    series.push({ month, share: share * 100, displacement, cumulative });
+  }
+  
+  return series;
+}
+
 // Verify total adds up
 function verifyTotal(results, expectedTotal) {
   const actualTotal = results.reduce((sum, c) => sum + c.displacement, 0);
   const diff = Math.abs(actualTotal - expectedTotal);
-  console.log(`Total verification: Expected ${expectedTotal.toLocaleString()}, Got ${actualTotal.toLocaleString()} (diff: ${diff})`);
+  logger.debug('Company total verification', { expected: expectedTotal, actual: actualTotal, diff });
   return diff < 100;
 }
 
-// Export
-window.AI_COMPANIES = US_AI_COMPANIES;
-window.DISPLACEMENT_CATEGORIES = DISPLACEMENT_CATEGORIES;
-window.calculateDisplacementScores = calculateDisplacementScores;
-window.verifyTotal = verifyTotal;
+module.exports = {
+  AI_ERA_START,
+  DISPLACEMENT_CATEGORIES,
+  US_AI_COMPANIES,
+  DISPLACEMENT_TYPE_MULT,
+  ENTERPRISE_MULT,
+  MATURITY_CURVE,
+  FACTOR_DESCRIPTIONS,
+  calculateDeploymentMaturity,
+  scoreCompanies,
+  calculateDisplacementScores,
+  decomposeCompanyShare,
+  monthlyCompanyShares,
+  companyMonthlySeries,
+  verifyTotal,
+  slugify
+};
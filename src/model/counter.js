@@ -0,0 +1,199 @@
+/**
+ * Shared Counter Anchor
+ *
+ * The live counter is a pure function of a shared anchor:
+ *
+ *   value(t) = anchor.value + anchor.perSecond × (t − anchor.at)
+ *
+ * The anchor (value, timestamp, rate) lives in the DataStore and moves only
+ * when the rate or the model does - a new nowcast, an admin edit, a JOLTS
+ * revision. Every move is published to the other instances, so all
+ * replicas show the same number at the same instant.
+ *
+ * Each instance runs its own nowcast, and announcement signals can leave
+ * them a little apart. So that replicas do not keep re-anchoring at their
+ * own rates, one instance - the holder of the anchor lease - owns rate
+ * changes, revisions and counter persistence. The others only read and
+ * adopt its anchors. Admin edits still move the anchor from whichever
+ * instance handled the request.
+ */
+
+const logger = require('../logger');
+
+// Anchors remember the revisions they include, so each is applied once
+const ANCHOR_REVISION_KEYS = 20;
+
+// Lease that makes an instance the owner of rate updates. Renewed every
+// persist interval (10s); a stopped owner is replaced after it lapses.
+const ANCHOR_LEASE = 'counter-anchor';
+const ANCHOR_LEASE_MS = 30 * 1000;
+
+// Rates closer than this (jobs/second) are the same rate
+const RATE_EPSILON = 1e-9;
+
+class Counter {
+  constructor() {
+    this.anchor = null;
+  }
+
+  get initialized() {
+    return this.anchor !== null;
+  }
+
+  get value() {
+    return Math.floor(this.valueAt());
+  }
+
+  valueAt(time = Date.now()) {
+    if (!this.anchor) return 0;
+    return this.anchor.value + this.anchor.perSecond * Math.max(0, time - this.anchor.at) / 1000;
+  }
+
+  /**
+   * Take an anchor if it is newer than the current one (ties broken by
+   * instance id, so every replica settles on the same anchor)
+   *
+   * @returns {boolean} Whether the anchor was taken
+   */
+  adopt(anchor) {
+    if (!anchor || !(anchor.value >= 0) || !Number.isFinite(anchor.at)) return false;
+    const current = this.anchor;
+    if (current && (anchor.at < current.at || (anchor.at === current.at && anchor.origin <= current.origin))) {
+      return false;
+    }
+    this.anchor = anchor;
+    return true;
+  }
+}
+
+/**
+ * Anchor fields for the live rate ({ rate, stdDev, perSecond } as returned
+ * by the nowcaster)
+ */
+function rateFields(rate) {
+  return {
+    perSecond: rate.perSecond,
+    perDay: Math.round(rate.rate),
+    perDayStdDev: rate.stdDev != null ? Math.round(rate.stdDev) : null
+  };
+}
+
+/**
+ * Keeps one instance's Counter in step with the shared anchor
+ */
+class AnchorSync {
+  /**
+   * @param {Object} options
+   * @param {Counter} options.counter
+   * @param {DataStore} options.store
+   * @param {string} options.instanceId
+   * @param {Function} options.rate - () => this instance's live rate { rate, stdDev, perSecond }
+   * @param {number} [options.leaseMs]
+   */
+  constructor({ counter, store, instanceId, rate, leaseMs = ANCHOR_LEASE_MS }) {
+    this.counter = counter;
+    this.store = store;
+    this.instanceId = instanceId;
+    this.rate = rate;
+    this.leaseMs = leaseMs;
+    this.pubsub = null;
+    this.leader = false;
+  }
+
+  /**
+   * Publish moves on `pubsub` and adopt the anchors other instances publish
+   */
+  async connect(pubsub) {
+    this.pubsub = pubsub;
+    await pubsub.subscribe('anchor', anchor => this.counter.adopt(anchor));
+  }
+
+  /**
+   * Take or renew the anchor lease
+   *
+   * @returns {Promise<boolean>} Whether this instance owns rate updates
+   */
+  async claim() {
+    const leader = await this.store.claimLease(ANCHOR_LEASE, this.instanceId, this.leaseMs);
+    if (leader !== this.leader) {
+      logger.info(leader ? 'Took over counter rate updates' : 'Counter rate updates owned by another instance',
+        { instanceId: this.instanceId });
+    }
+    this.leader = leader;
+    return leader;
+  }
+
+  // Catch up with anchors written while this instance was not listening
+  async sync() {
+    this.counter.adopt(await this.store.loadCounterAnchor());
+  }
+
+  /**
+   * Move the shared anchor to `value` at the live rate, store it and tell
+   * the other instances. If another instance stored a newer anchor
+   * meanwhile, that one wins and is adopted instead.
+   *
+   * @param {number} value
+   * @param {string} reason
+   * @param {Object} [options]
+   * @param {string} [options.revision] - revisionKey this move applies
+   * @returns {Promise<boolean>} Whether this anchor was stored
+   */
+  async move(value, reason, { revision = null } = {}) {
+    const current = this.counter.anchor;
+    const included = current?.revisions || [];
+    const anchor = {
+      value,
+      at: Math.max(Date.now(), (current?.at || 0) + 1),
+      ...rateFields(this.rate()),
+      reason,
+      origin: this.instanceId,
+      revisions: revision ? [...included, revision].slice(-ANCHOR_REVISION_KEYS) : included
+    };
+
+    const stored = await this.store.setCounterAnchor(anchor);
+    this.counter.adopt(stored);
+    if (stored.at !== anchor.at || stored.origin !== anchor.origin) {
+      logger.info('Newer counter anchor kept', { origin: stored.origin, reason: stored.reason });
+      return false;
+    }
+
+    logger.info('Counter anchored', { value: Math.floor(value), perDay: anchor.perDay, reason });
+    await this.pubsub?.publish('anchor', anchor);
+    return true;
+  }
+
+  /**
+   * Bring the anchor up to date after the rate may have changed: start it
+   * from `initialValue` the first time, otherwise re-anchor at the current
+   * value only if the live rate moved, so the new rate applies from now on
+   * without rewriting the past. Only the lease holder does either; the
+   * others just read the stored anchor.
+   *
+   * @param {string} reason
+   * @param {number} initialValue - Cumulative mid estimate, for the first anchor
+   */
+  async refresh(reason, initialValue) {
+    await this.sync();
+    if (!(await this.claim())) return;
+
+    const { counter } = this;
+    if (!counter.initialized || !this.store.getCounterAnchor()) {
+      const value = counter.initialized ? counter.valueAt() : initialValue;
+      if (value > 0) {
+        await this.move(value, counter.initialized ? 'migrated persisted counter' : 'initialized from JOLTS');
+      }
+      return;
+    }
+
+    if (Math.abs(this.rate().perSecond - counter.anchor.perSecond) >= RATE_EPSILON) {
+      await this.move(counter.valueAt(), reason);
+    }
+  }
+}
+
+module.exports = {
+  Counter,
+  AnchorSync,
+  rateFields
+};
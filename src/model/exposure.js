@@ -0,0 +1,315 @@
+/**
+ * Research-Based AI Attribution Model
+ *
+ * Applies industry-specific AI exposure rates to JOLTS layoffs.
+ * Shared by the live calculation and the historical series so a month
+ * is always estimated the same way, whichever endpoint asks for it.
+ */
+
+const { deriveExposureModel } = require('./occupations');
+
+// Counting starts here (ChatGPT launched Nov 30, 2022; Jan 2023 is a cleaner period)
+const AI_START_DATE = '2023-01-01';
+
+// JOLTS supersectors with their own series; together they cover total nonfarm.
+// Whatever the sector sum misses (the reconciliation residual) gets the "other" rate.
+const INDUSTRIES = [
+  'mining',
+  'construction',
+  'manufacturing',
+  'wholesale',
+  'retail',
+  'transportation',
+  'information',
+  'finance',
+  'real_estate',
+  'professional',
+  'education',
+  'healthcare',
+  'arts',
+  'accommodation',
+  'other_services',
+  'government'
+];
+
+/**
+ * AI Exposure Rates by Industry
+ *
+ * Derived from bundled occupation data (see occupations.js): each
+ * industry's rate is the employment-weighted mean of its occupations'
+ * exposure, with occupation scores informed by:
+ * - IMF (2024): 40% overall AI exposure, but only 25% of that at high displacement risk
+ * - Challenger Gray & Christmas: 4-8% of layoffs explicitly cite AI
+ * - McKinsey: Higher exposure in knowledge work
+ * - O*NET occupational task data
+ *
+ * These represent the PROBABILITY that a layoff in the sector was AI-influenced.
+ * Admin edits (src/admin/registry.js) replace entries in place.
+ */
+const AI_EXPOSURE_MODEL = deriveExposureModel(INDUSTRIES);
+
+/**
+ * Estimate AI-attributed layoffs for one month.
+ *
+ * @param {number} total - Total nonfarm layoffs for the month
+ * @param {Object} sectors - Layoffs keyed by industry (missing keys are allowed)
+ * @param {Object} [model] - Exposure rates to apply
+ * @returns {Object} { total, low, mid, high, knownTotal, otherSectors, bySector }
+ *   where bySector holds each rated sector's (scaled) layoffs and estimates, plus "other"
+ */
+function estimateMonth(total, sectors, model = AI_EXPOSURE_MODEL) {
+  let low = 0, mid = 0, high = 0;
+  const bySector = {};
+
+  // Sectors without rates (e.g. retired through the admin API) fall into "other"
+  const rated = INDUSTRIES.filter(industry => sectors[industry] && model[industry]);
+  const sectorSum = rated.reduce((sum, industry) => sum + sectors[industry], 0);
+
+  // The industry series are not seasonally adjusted but the total is, so the
+  // sector sum can overshoot it; scale the sectors down to the total then
+  const scale = sectorSum > total ? total / sectorSum : 1;
+  const knownTotal = sectorSum * scale;
+
+  for (const industry of rated) {
+    const value = sectors[industry] * scale;
+    const rates = model[industry];
+    low += value * rates.low;
+    mid += value * rates.mid;
+    high += value * rates.high;
+    bySector[industry] = { total: value, low: value * rates.low, mid: value * rates.mid, high: value * rates.high };
+  }
+
+  // Apply "other" rate to remaining sectors
+  const otherSectors = Math.max(0, total - knownTotal);
+  low += otherSectors * model.other.low;
+  mid += otherSectors * model.other.mid;
+  high += otherSectors * model.other.high;
+  bySector.other = {
+    total: otherSectors,
+    low: otherSectors * model.other.low,
+    mid: otherSectors * model.other.mid,
+    high: otherSectors * model.other.high
+  };
+
+  return { total, low, mid, high, knownTotal, otherSectors, bySector };
+}
+
+/**
+ * Month-by-month AI-attributed estimates for every JOLTS month since the start date.
+ *
+ * A sector missing from a month is imputed from its average share of total
+ * layoffs in the months where it was reported, rather than silently falling
+ * into the low-exposure "other" bucket. Imputed sectors are listed per month.
+ *
+ * @param {Object} fred - liveData.fred (each series carries a dated `history`)
+ * @param {Object} [model] - Exposure rates to apply
+ * @param {string} [startDate] - First month to include (YYYY-MM-DD)
+ * @param {Object} [options]
+ * @param {boolean} [options.bySector] - Also return each month's unrounded per-sector estimates
+ * @returns {Array<{month, total, low, mid, high, imputed, bySector?}>} oldest first
+ */
+function buildMonthlySeries(fred, model = AI_EXPOSURE_MODEL, startDate = AI_START_DATE, options = {}) {
+  const startMonth = startDate.slice(0, 7);
+  const byMonth = key => new Map(
+    (fred[key]?.history || []).map(o => [o.date.slice(0, 7), o.value])
+  );
+
+  const totals = byMonth('total');
+  const sectorMaps = Object.fromEntries(INDUSTRIES.map(i => [i, byMonth(i)]));
+  const shares = averageShares(totals, sectorMaps);
+
+  return [...totals.keys()]
+    .filter(month => month >= startMonth)
+    .sort()
+    .map(month => {
+      const total = totals.get(month);
+      const sectors = {};
+      const imputed = [];
+      for (const industry of INDUSTRIES) {
+        const value = sectorMaps[industry].get(month);
+        if (value != null) {
+          sectors[industry] = value;
+        } else if (shares[industry] != null) {
+          sectors[industry] = total * shares[industry];
+          imputed.push(industry);
+        }
+      }
+      const est = estimateMonth(total, sectors, model);
+      const entry = {
+        month,
+        total: Math.round(est.total),
+        low: Math.round(est.low),
+        mid: Math.round(est.mid),
+        high: Math.round(est.high),
+        imputed
+      };
+      if (options.bySector) entry.bySector = est.bySector;
+      return entry;
+    });
+}
+
+// Average share of total layoffs for each sector over the months it was reported
+function averageShares(totals, sectorMaps) {
+  const shares = {};
+  for (const [industry, values] of Object.entries(sectorMaps)) {
+    const ratios = [...values]
+      .filter(([month]) => totals.get(month) > 0)
+      .map(([month, value]) => value / totals.get(month));
+    if (ratios.length) {
+      shares[industry] = ratios.reduce((a, b) => a + b, 0) / ratios.length;
+    }
+  }
+  return shares;
+}
+
+/**
+ * Compare the sector sum with total nonfarm for every month since the
+ * start date. The residual (total - sum) is what the "other" rate is
+ * applied to; a large one means the sector model is not covering the total.
+ *
+ * @param {Object} fred - liveData.fred
+ * @param {string} [startDate] - YYYY-MM-DD
+ * @returns {Array<{month, total, sectorSum, residual, residualPct, missing}>} oldest first
+ */
+function reconcileSectors(fred, startDate = AI_START_DATE) {
+  const startMonth = startDate.slice(0, 7);
+  const sectorMaps = Object.fromEntries(INDUSTRIES.map(industry => [
+    industry,
+    new Map((fred[industry]?.history || []).map(o => [o.date.slice(0, 7), o.value]))
+  ]));
+
+  return (fred.total?.history || [])
+    .map(o => ({ month: o.date.slice(0, 7), total: o.value }))
+    .filter(({ month }) => month >= startMonth)
+    .map(({ month, total }) => {
+      let sectorSum = 0;
+      const missing = [];
+      for (const industry of INDUSTRIES) {
+        const value = sectorMaps[industry].get(month);
+        if (value == null) missing.push(industry);
+        else sectorSum += value;
+      }
+      const residual = total - sectorSum;
+      return {
+        month,
+        total: Math.round(total),
+        sectorSum: Math.round(sectorSum),
+        residual: Math.round(residual),
+        residualPct: total > 0 ? residual / total * 100 : null,
+        missing
+      };
+    });
+}
+
+function daysInMonth(month) {
+  const [year, m] = month.split('-').map(Number);
+  return new Date(Date.UTC(year, m, 0)).getUTCDate();
+}
+
+function nextMonth(month) {
+  const [year, m] = month.split('-').map(Number);
+  return m === 12
+    ? `${year + 1}-01`
+    : `${year}-${String(m + 1).padStart(2, '0')}`;
+}
+
+/**
+ * One entry per calendar month from the start date through the current
+ * (partial) month, each marked with how its estimate was obtained:
+ *
+ *   reported     - a JOLTS release exists for the month
+ *   filled       - no release, but later months have one; the nearest
+ *                  earlier month (or the first month, at the very start) is used
+ *   extrapolated - after the latest release (the normal ~2 month BLS lag plus
+ *                  the current partial month); the latest month's daily rate
+ *                  × days in the month, or days elapsed so far
+ *
+ * @param {Array} monthly - Output of buildMonthlySeries (oldest first)
+ * @param {Date} [now]
+ * @param {string} [startDate] - YYYY-MM-DD
+ * @returns {Array<{month, basis, days, total, low, mid, high}>}
+ */
+function expandCalendarMonths(monthly, now = new Date(), startDate = AI_START_DATE) {
+  if (!monthly.length) return [];
+
+  const byMonth = new Map(monthly.map(m => [m.month, m]));
+  const latest = monthly[monthly.length - 1];
+  const currentMonth = now.toISOString().slice(0, 7);
+  const scaled = (m, fraction) => ({
+    total: m.total * fraction,
+    low: m.low * fraction,
+    mid: m.mid * fraction,
+    high: m.high * fraction
+  });
+
+  const months = [];
+  let previous = monthly[0];
+  for (let month = startDate.slice(0, 7); month <= currentMonth; month = nextMonth(month)) {
+    const reported = byMonth.get(month);
+
+    if (reported) {
+      months.push({ month, basis: 'reported', days: daysInMonth(month), ...scaled(reported, 1) });
+      previous = reported;
+    } else if (month < latest.month) {
+      months.push({ month, basis: 'filled', days: daysInMonth(month), ...scaled(previous, 1) });
+    } else {
+      const days = month === currentMonth
+        ? (now - Date.parse(`${month}-01T00:00:00Z`)) / 86400000
+        : daysInMonth(month);
+      months.push({ month, basis: 'extrapolated', days, ...scaled(latest, days / daysInMonth(latest.month)) });
+    }
+  }
+
+  return months;
+}
+
+/**
+ * Cumulative AI-attributed layoffs since the start date: the sum of
+ * expandCalendarMonths, so each reported JOLTS month counts as itself and
+ * only unreleased months are extrapolated.
+ *
+ * @param {Array} monthly - Output of buildMonthlySeries (oldest first)
+ * @param {Date} [now]
+ * @param {string} [startDate] - YYYY-MM-DD
+ */
+function integrateCumulative(monthly, now = new Date(), startDate = AI_START_DATE) {
+  const result = {
+    total: 0,
+    low: 0,
+    mid: 0,
+    high: 0,
+    throughMonth: monthly.length ? monthly[monthly.length - 1].month : null,
+    reportedMonths: 0,
+    filledMonths: [],
+    extrapolatedDays: 0
+  };
+
+  for (const m of expandCalendarMonths(monthly, now, startDate)) {
+    result.total += m.total;
+    result.low += m.low;
+    result.mid += m.mid;
+    result.high += m.high;
+
+    if (m.basis === 'reported') result.reportedMonths++;
+    else if (m.basis === 'filled') result.filledMonths.push(m.month);
+    else result.extrapolatedDays += m.days;
+  }
+
+  result.total = Math.floor(result.total);
+  result.low = Math.floor(result.low);
+  result.mid = Math.floor(result.mid);
+  result.high = Math.floor(result.high);
+  result.extrapolatedDays = Math.round(result.extrapolatedDays * 10) / 10;
+  return result;
+}
+
+module.exports = {
+  AI_START_DATE,
+  AI_EXPOSURE_MODEL,
+  INDUSTRIES,
+  reconcileSectors,
+  estimateMonth,
+  buildMonthlySeries,
+  expandCalendarMonths,
+  integrateCumulative
+};
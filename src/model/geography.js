@@ -0,0 +1,253 @@
+/**
+ * State Breakdown
+ *
+ * Allocates the national sector estimates to states by each state's share
+ * of the sector's employment, from two bundled files:
+ *
+ *   data/states.csv
+ *     code, name (50 states and DC)
+ *
+ *   data/state_industry_employment.csv
+ *     state, industry, employment (thousands), source
+ *     Laid out like the BLS state Current Employment Statistics at
+ *     supersector level; rounded approximations. Each row cites a key
+ *     into data/sources.csv, like the occupation files.
+ *
+ * For every JOLTS month, a state's estimate is
+ *
+ *   Σ sectors  (state share of sector employment) × (sector AI-attributed layoffs)
+ *   + (state share of total employment) × ("other" residual)
+ *
+ * so the states always add up to the national figure.
+ *
+ * Employment shares assume layoffs are spread evenly across a sector's
+ * workforce. Where WARN notices have been ingested, each covered state's
+ * share of WARN headcount is compared with its share of modeled layoffs
+ * (both among the covered states only) and the state is scaled by a
+ * credibility-weighted factor. Factors are renormalized so calibration only
+ * moves layoffs between covered states - WARN misses small layoffs, so it
+ * says nothing about absolute levels.
+ */
+
+const { readCsv, loadSources, checkSource, sourceStatus, SOURCES_FILE } = require('./occupations');
+const { AI_START_DATE, AI_EXPOSURE_MODEL, INDUSTRIES, buildMonthlySeries, integrateCumulative } = require('./exposure');
+
+const STATES_FILE = 'states.csv';
+const EMPLOYMENT_FILE = 'state_industry_employment.csv';
+const ESTIMATE_KEYS = ['total', 'low', 'mid', 'high'];
+
+/**
+ * Load and cross-check both files. Throws on inconsistent data, like
+ * loadOccupationData.
+ *
+ * @returns {{states: Map<string, {code, name, employment: Object, totalEmployment: number}>,
+ *   sources: Array, status: Object}} sources are the sources.csv entries the rows cite
+ */
+function loadStateData() {
+  const allSources = loadSources();
+  const cited = new Set();
+  const states = new Map();
+  for (const row of readCsv(STATES_FILE)) {
+    states.set(row.code, { code: row.code, name: row.name, employment: {}, totalEmployment: 0 });
+  }
+
+  for (const row of readCsv(EMPLOYMENT_FILE)) {
+    const state = states.get(row.state);
+    if (!state) throw new Error(`${EMPLOYMENT_FILE}: unknown state "${row.state}"`);
+    if (!INDUSTRIES.includes(row.industry)) {
+      throw new Error(`${EMPLOYMENT_FILE}: unknown industry "${row.industry}"`);
+    }
+    const employment = parseFloat(row.employment);
+    if (!Number.isFinite(employment) || employment < 0) {
+      throw new Error(`${EMPLOYMENT_FILE}: invalid employment "${row.employment}" for ${row.state}`);
+    }
+    cited.add(checkSource(row, EMPLOYMENT_FILE, allSources));
+    state.employment[row.industry] = employment;
+    state.totalEmployment += employment;
+  }
+
+  return {
+    states,
+    sources: [...cited].map(key => allSources.get(key)),
+    status: sourceStatus(cited, allSources, 'the state shares')
+  };
+}
+
+/**
+ * Each state's share of national employment per industry, plus "other"
+ * (share of all employment, used for the residual)
+ */
+function employmentShares(data) {
+  const national = { other: 0 };
+  for (const state of data.states.values()) {
+    for (const [industry, employment] of Object.entries(state.employment)) {
+      national[industry] = (national[industry] || 0) + employment;
+    }
+    national.other += state.totalEmployment;
+  }
+
+  const shares = new Map();
+  for (const state of data.states.values()) {
+    const share = { other: national.other > 0 ? state.totalEmployment / national.other : 0 };
+    for (const industry of INDUSTRIES) {
+      share[industry] = national[industry] > 0 ? (state.employment[industry] || 0) / national[industry] : 0;
+    }
+    shares.set(state.code, share);
+  }
+  return shares;
+}
+
+// A state's slice of one month of buildMonthlySeries(..., { bySector: true })
+function allocateMonth(month, share) {
+  const allocated = { total: 0, low: 0, mid: 0, high: 0 };
+  for (const [sector, estimate] of Object.entries(month.bySector)) {
+    const weight = share[sector] ?? share.other;
+    for (const key of ESTIMATE_KEYS) allocated[key] += estimate[key] * weight;
+  }
+  return allocated;
+}
+
+/**
+ * Calibration factors from WARN headcounts
+ *
+ * @param {Map<string, number>} modeled - Modeled layoffs per state
+ * @param {Array} notices - Stored WARN events
+ * @param {Object} options - { credibility, factorBounds }
+ * @returns {{applied: boolean, reason?: string, window?: Object, states: Object}}
+ */
+function calibrate(modeled, notices, options) {
+  const { credibility, factorBounds: [minFactor, maxFactor] } = options;
+
+  const warn = {};
+  let from = null;
+  let to = null;
+  for (const notice of notices) {
+    if (!modeled.has(notice.state) || !(notice.headcount > 0)) continue;
+    warn[notice.state] = warn[notice.state] || { notices: 0, headcount: 0 };
+    warn[notice.state].notices++;
+    warn[notice.state].headcount += notice.headcount;
+    if (!from || notice.event_time < from) from = notice.event_time;
+    if (!to || notice.event_time > to) to = notice.event_time;
+  }
+
+  const covered = Object.keys(warn);
+  if (covered.length < 2) {
+    return { applied: false, reason: 'WARN notices with headcounts are needed from at least two states', states: {} };
+  }
+
+  const warnTotal = covered.reduce((sum, code) => sum + warn[code].headcount, 0);
+  const modeledTotal = covered.reduce((sum, code) => sum + modeled.get(code), 0);
+
+  const states = {};
+  for (const code of covered) {
+    const warnShare = warn[code].headcount / warnTotal;
+    const modelShare = modeledTotal > 0 ? modeled.get(code) / modeledTotal : 0;
+    const weight = warn[code].notices / (warn[code].notices + credibility);
+    const raw = modelShare > 0 ? warnShare / modelShare : 1;
+    states[code] = {
+      ...warn[code],
+      warnShare,
+      modelShare,
+      weight,
+      factor: Math.min(maxFactor, Math.max(minFactor, 1 + weight * (raw - 1)))
+    };
+  }
+
+  // Keep the covered states' combined total unchanged
+  const scaled = covered.reduce((sum, code) => sum + modeled.get(code) * states[code].factor, 0);
+  const norm = scaled > 0 ? modeledTotal / scaled : 1;
+  for (const code of covered) states[code].factor *= norm;
+
+  return { applied: true, window: { from, to }, states };
+}
+
+/**
+ * @param {Object} fred - liveData.fred
+ * @param {Object} [options]
+ * @param {Object} [options.exposure] - Exposure rates (defaults to the live model)
+ * @param {string} [options.startDate]
+ * @param {Array} [options.notices] - WARN events to calibrate against
+ * @param {Object} [options.calibration] - { enabled, credibility, factorBounds }, or null to skip
+ * @param {Object} [options.data] - loadStateData() result
+ * @param {Date} [options.now]
+ * @returns {Object|null} null when no JOLTS data is loaded
+ */
+function computeStates(fred, options = {}) {
+  const {
+    exposure = AI_EXPOSURE_MODEL,
+    startDate = AI_START_DATE,
+    notices = [],
+    calibration = null,
+    data = loadStateData(),
+    now = new Date()
+  } = options;
+
+  const monthly = buildMonthlySeries(fred, exposure, startDate, { bySector: true });
+  if (!monthly.length) return null;
+
+  const shares = employmentShares(data);
+  const latest = monthly[monthly.length - 1];
+  const modeled = new Map([...shares].map(([code, share]) => [code, allocateMonth(latest, share).total]));
+
+  const calibrated = calibration?.enabled
+    ? calibrate(modeled, notices, calibration)
+    : { applied: false, reason: 'WARN calibration disabled', states: {} };
+
+  const national = integrateCumulative(monthly, now, startDate);
+  const ratio = (value, total) => total > 0 ? value / total : 0;
+
+  const states = [...data.states.values()].map(state => {
+    const factor = calibrated.states[state.code]?.factor ?? 1;
+    const series = monthly.map(m => {
+      const allocated = allocateMonth(m, shares.get(state.code));
+      const scaled = { month: m.month };
+      for (const key of ESTIMATE_KEYS) scaled[key] = allocated[key] * factor;
+      return scaled;
+    });
+    const cumulative = integrateCumulative(series, now, startDate);
+    const last = series[series.length - 1];
+
+    return {
+      code: state.code,
+      name: state.name,
+      employmentThousands: Math.round(state.totalEmployment),
+      calibrationFactor: factor,
+      cumulative: { low: cumulative.low, mid: cumulative.mid, high: cumulative.high },
+      latest: {
+        month: last.month,
+        total: Math.round(last.total),
+        low: Math.round(last.low),
+        mid: Math.round(last.mid),
+        high: Math.round(last.high)
+      },
+      // Fractions of the national figures, for scaling the live counter
+      share: {
+        cumulativeLow: ratio(cumulative.low, national.low),
+        cumulativeMid: ratio(cumulative.mid, national.mid),
+        cumulativeHigh: ratio(cumulative.high, national.high),
+        latestLow: ratio(last.low, latest.low),
+        latestMid: ratio(last.mid, latest.mid),
+        latestHigh: ratio(last.high, latest.high)
+      },
+      bySector: Object.fromEntries(Object.entries(latest.bySector).map(([sector, estimate]) => {
+        const weight = shares.get(state.code)[sector] ?? shares.get(state.code).other;
+        return [sector, { employmentShare: weight, mid: Math.round(estimate.mid * weight * factor) }];
+      }))
+    };
+  });
+
+  return {
+    through: latest.month,
+    calibration: calibrated,
+    states,
+    computedAt: now.toISOString()
+  };
+}
+
+module.exports = {
+  STATES_FILE,
+  EMPLOYMENT_FILE,
+  SOURCES_FILE,
+  loadStateData,
+  computeStates
+};
@@ -0,0 +1,118 @@
+/**
+ * Historical Time Series
+ *
+ * Slices and aggregates the monthly AI-attributed estimates for
+ * GET /api/history, with the cumulative curve since the start date.
+ */
+
+const SERIES = {
+  ai_low: 'low',
+  ai_mid: 'mid',
+  ai_high: 'high',
+  total: 'total'
+};
+
+const GRANULARITIES = ['month', 'quarter', 'year'];
+
+const PERIOD_PATTERN = /^\d{4}-\d{2}(-\d{2})?$/;
+
+function periodOf(month, granularity) {
+  if (granularity === 'year') return month.slice(0, 4);
+  if (granularity === 'quarter') {
+    const quarter = Math.ceil(parseInt(month.slice(5, 7)) / 3);
+    return `${month.slice(0, 4)}-Q${quarter}`;
+  }
+  return month;
+}
+
+// Own keys only, so "constructor" or "__proto__" is not a series
+function isSeries(series) {
+  return typeof series === 'string' && Object.hasOwn(SERIES, series);
+}
+
+/**
+ * Validate query parameters. Returns an error message or null.
+ */
+function validateQuery({ series = 'ai_mid', from, to, granularity = 'month' }) {
+  if (!isSeries(series)) {
+    return `Unknown series "${series}". Expected one of: ${Object.keys(SERIES).join(', ')}`;
+  }
+  if (!GRANULARITIES.includes(granularity)) {
+    return `Unknown granularity "${granularity}". Expected one of: ${GRANULARITIES.join(', ')}`;
+  }
+  for (const [name, value] of [['from', from], ['to', to]]) {
+    if (value && (typeof value !== 'string' || !PERIOD_PATTERN.test(value))) {
+      return `Invalid ${name} "${value}". Expected YYYY-MM or YYYY-MM-DD`;
+    }
+  }
+  if (from && to && from.slice(0, 7) > to.slice(0, 7)) {
+    return '"from" must not be after "to"';
+  }
+  return null;
+}
+
+/**
+ * Build the response for GET /api/history.
+ *
+ * Cumulative values are always measured from the start of the series,
+ * so narrowing the window does not reset the curve.
+ *
+ * @param {Array} monthly - Output of buildMonthlySeries (oldest first)
+ */
+function queryHistory(monthly, { series = 'ai_mid', from, to, granularity = 'month' }) {
+  const fromMonth = from ? from.slice(0, 7) : null;
+  const toMonth = to ? to.slice(0, 7) : null;
+  if (!isSeries(series)) throw new Error(`Unknown series "${series}"`);
+  const field = SERIES[series];
+
+  const cumulative = { low: 0, mid: 0, high: 0, total: 0 };
+  const periods = new Map();
+
+  for (const m of monthly) {
+    cumulative.low += m.low;
+    cumulative.mid += m.mid;
+    cumulative.high += m.high;
+    cumulative.total += m.total;
+
+    if ((fromMonth && m.month < fromMonth) || (toMonth && m.month > toMonth)) continue;
+
+    const key = periodOf(m.month, granularity);
+    const point = periods.get(key) || {
+      period: key,
+      months: 0,
+      total: 0,
+      low: 0,
+      mid: 0,
+      high: 0
+    };
+    point.months++;
+    point.total += m.total;
+    point.low += m.low;
+    point.mid += m.mid;
+    point.high += m.high;
+    point.value = point[field];
+    point.cumulative = cumulative[field];
+    point.cumulativeLow = cumulative.low;
+    point.cumulativeMid = cumulative.mid;
+    point.cumulativeHigh = cumulative.high;
+    periods.set(key, point);
+  }
+
+  const points = [...periods.values()];
+
+  return {
+    series,
+    granularity,
+    from: points[0]?.period || null,
+    to: points[points.length - 1]?.period || null,
+    unit: 'jobs',
+    points
+  };
+}
+
+module.exports = {
+  SERIES,
+  GRANULARITIES,
+  validateQuery,
+  queryHistory
+};
@@ -0,0 +1,143 @@
+/**
+ * Displacement Metrics
+ *
+ * Turns a FRED snapshot into the calculated block (latest month, daily
+ * rates, cumulative totals) under a given set of model parameters. Pure,
+ * so the live counter, stored model versions and scenarios all compute
+ * their numbers the same way.
+ */
+
+const {
+  AI_START_DATE,
+  AI_EXPOSURE_MODEL,
+  INDUSTRIES,
+  estimateMonth,
+  buildMonthlySeries,
+  integrateCumulative
+} = require('./exposure');
+
+/**
+ * @param {Object} fred - liveData.fred
+ * @param {Object} [params]
+ * @param {Object} [params.exposure] - Exposure rates (defaults to the live model)
+ * @param {string} [params.startDate] - Counting start (YYYY-MM-DD)
+ * @param {Date} [now]
+ * @returns {{calculated: Object, monthly: Array}|null} null when there is no data
+ */
+function computeMetrics(fred, params = {}, now = new Date()) {
+  const exposure = params.exposure || AI_EXPOSURE_MODEL;
+  const start = params.startDate || AI_START_DATE;
+  const totalMonthly = fred.total?.value || 0;
+
+  if (totalMonthly === 0) return null;
+
+  const monthly = buildMonthlySeries(fred, exposure, start);
+
+  // Latest month: AI-attributed layoffs for each known industry, "other" rate for the rest.
+  // Prefer the monthly series, which imputes sectors missing from the release.
+  let latestMonth = monthly[monthly.length - 1];
+  if (!latestMonth || latestMonth.month !== fred.total.date?.slice(0, 7)) {
+    const sectors = {};
+    for (const industry of INDUSTRIES) {
+      if (fred[industry]?.value) sectors[industry] = fred[industry].value;
+    }
+    latestMonth = estimateMonth(totalMonthly, sectors, exposure);
+  }
+  const { low: aiLow, mid: aiMid, high: aiHigh } = latestMonth;
+
+  // Calculate daily and per-second rates (use midpoint for counter)
+  const perDayMid = aiMid / 30;
+  const perSecond = perDayMid / 86400;
+
+  const startDate = new Date(start);
+  const daysSinceStart = Math.floor((now - startDate) / (1000 * 60 * 60 * 24));
+
+  // Sum each reported JOLTS month, extrapolating only the months not yet released,
+  // so one unusual release month no longer rewrites all of history
+  const cumulative = integrateCumulative(monthly, now, start);
+
+  const calculated = {
+    totalMonthly: Math.round(totalMonthly),
+    aiLow: Math.round(aiLow),
+    aiMid: Math.round(aiMid),
+    aiHigh: Math.round(aiHigh),
+    aiRateLow: (aiLow / totalMonthly * 100).toFixed(1),
+    aiRateMid: (aiMid / totalMonthly * 100).toFixed(1),
+    aiRateHigh: (aiHigh / totalMonthly * 100).toFixed(1),
+    perDayLow: Math.round(aiLow / 30),
+    perDayMid: Math.round(perDayMid),
+    perDayHigh: Math.round(aiHigh / 30),
+    perSecond: perSecond,
+    historicalLow: cumulative.low,
+    historicalMid: cumulative.mid,
+    historicalHigh: cumulative.high,
+    historicalAllLayoffs: cumulative.total,
+    historicalThrough: cumulative.throughMonth,
+    reportedMonths: cumulative.reportedMonths,
+    filledMonths: cumulative.filledMonths,
+    extrapolatedDays: cumulative.extrapolatedDays,
+    daysSinceStart,
+    startDate: start
+  };
+
+  return { calculated, monthly };
+}
+
+/**
+ * Per-sector cumulative and latest-month estimates, with each sector's
+ * fraction of the national figures (for scaling the live counter)
+ *
+ * @param {Object} fred - liveData.fred
+ * @param {Object} [params] - As for computeMetrics
+ * @param {Date} [now]
+ * @returns {Object|null} { sector: {exposure, cumulative, latest, share} }, null without data
+ */
+function computeSectorBreakdown(fred, params = {}, now = new Date()) {
+  const exposure = params.exposure || AI_EXPOSURE_MODEL;
+  const start = params.startDate || AI_START_DATE;
+
+  const monthly = buildMonthlySeries(fred, exposure, start, { bySector: true });
+  if (!monthly.length) return null;
+
+  const national = integrateCumulative(monthly, now, start);
+  const latest = monthly[monthly.length - 1];
+  const ratio = (value, total) => total > 0 ? value / total : 0;
+  const empty = { total: 0, low: 0, mid: 0, high: 0 };
+
+  const sectors = {};
+  for (const sector of [...INDUSTRIES, 'other']) {
+    // Retired sectors fall into "other"
+    if (!exposure[sector]) continue;
+
+    const series = monthly.map(m => ({ month: m.month, ...(m.bySector[sector] || empty) }));
+    const cumulative = integrateCumulative(series, now, start);
+    const last = series[series.length - 1];
+
+    sectors[sector] = {
+      exposure: { low: exposure[sector].low, mid: exposure[sector].mid, high: exposure[sector].high },
+      cumulative: { low: cumulative.low, mid: cumulative.mid, high: cumulative.high },
+      latest: {
+        month: last.month,
+        total: Math.round(last.total),
+        low: Math.round(last.low),
+        mid: Math.round(last.mid),
+        high: Math.round(last.high)
+      },
+      share: {
+        cumulativeLow: ratio(cumulative.low, national.low),
+        cumulativeMid: ratio(cumulative.mid, national.mid),
+        cumulativeHigh: ratio(cumulative.high, national.high),
+        latestLow: ratio(last.low, latest.low),
+        latestMid: ratio(last.mid, latest.mid),
+        latestHigh: ratio(last.high, latest.high)
+      }
+    };
+  }
+
+  return sectors;
+}
+
+module.exports = {
+  computeMetrics,
+  computeSectorBreakdown
+};
@@ -0,0 +1,154 @@
+/**
+ * Kalman-Filter Nowcast of the Daily AI-Displacement Rate
+ *
+ * The true daily rate (λ, jobs/day) is treated as a latent random walk.
+ * Each JOLTS release is a noisy measurement of λ for its month; higher-
+ * frequency signals (WARN notices, layoff announcements) can be folded in
+ * as additional, noisier measurements between releases.
+ *
+ *   predict:  P ← P + Q × (elapsed days / 30)
+ *   update:   K = P / (P + R);  λ ← λ + K (z − λ);  P ← (1 − K) P
+ *
+ * Q (config.model.kalmanProcessNoise) is the variance the rate can drift
+ * per month; R (config.model.kalmanMeasurementNoise) is the variance of a
+ * single JOLTS-derived daily rate. Both are in (jobs/day)².
+ */
+
+const config = require('../config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function daysInMonth(month) {
+  const [year, m] = month.split('-').map(Number);
+  return new Date(Date.UTC(year, m, 0)).getUTCDate();
+}
+
+class RateNowcaster {
+  constructor(options = {}) {
+    this.processNoise = options.processNoise ?? config.model.kalmanProcessNoise;
+    this.measurementNoise = options.measurementNoise ?? config.model.kalmanMeasurementNoise;
+
+    this.initialRate = options.initialRate ?? config.model.initialLambdaDay;
+    this.reset();
+  }
+
+  /**
+   * Back to the prior, e.g. before replaying releases under a changed model
+   */
+  reset() {
+    this.rate = this.initialRate;
+    this.variance = this.measurementNoise;
+    this.updatedAt = null;
+    this.lastRelease = null;
+    this.lastSignalAt = null;
+    this.observations = 0;
+  }
+
+  /**
+   * Advance the state to `now`, growing the variance by the process noise
+   */
+  predict(now = Date.now()) {
+    if (this.updatedAt != null) {
+      const elapsedDays = Math.max(0, (now - this.updatedAt) / DAY_MS);
+      this.variance += this.processNoise * elapsedDays / 30;
+    }
+    this.updatedAt = now;
+  }
+
+  /**
+   * Fold in one measurement of the daily rate
+   *
+   * @param {number} measurement - Observed daily rate (jobs/day)
+   * @param {number} [noise] - Measurement variance; defaults to the JOLTS noise
+   * @returns {{gain: number, innovation: number}}
+   */
+  update(measurement, noise = this.measurementNoise, now = Date.now()) {
+    this.predict(now);
+
+    const innovation = measurement - this.rate;
+    const gain = this.variance / (this.variance + noise);
+    this.rate += gain * innovation;
+    this.variance *= (1 - gain);
+    this.observations++;
+
+    return { gain, innovation };
+  }
+
+  /**
+   * Apply every JOLTS month newer than the last one already applied.
+   * Months are stepped one at a time so the filter state only depends on
+   * the series, not on how often FRED was polled.
+   *
+   * @param {Array} monthly - Output of buildMonthlySeries (oldest first)
+   * @returns {number} number of releases applied
+   */
+  ingestReleases(monthly) {
+    let applied = 0;
+
+    for (const m of monthly) {
+      if (this.lastRelease && m.month <= this.lastRelease) continue;
+
+      // Measurement is timed at the end of its month
+      const [year, month] = m.month.split('-').map(Number);
+      const monthEnd = Date.UTC(year, month, 1);
+      if (this.updatedAt == null) this.updatedAt = monthEnd;
+
+      this.update(m.mid / daysInMonth(m.month), this.measurementNoise, Math.max(monthEnd, this.updatedAt));
+      this.lastRelease = m.month;
+      applied++;
+    }
+
+    return applied;
+  }
+
+  /**
+   * Fold in a higher-frequency signal (e.g. announced layoffs scaled to a daily rate)
+   */
+  observeSignal(dailyRate, noise, now = Date.now()) {
+    this.lastSignalAt = now;
+    return this.update(dailyRate, noise, Math.max(now, this.updatedAt ?? now));
+  }
+
+  /**
+   * Current estimate, with the variance predicted forward to `now`
+   */
+  getEstimate(now = Date.now()) {
+    const elapsedDays = this.updatedAt != null ? Math.max(0, (now - this.updatedAt) / DAY_MS) : 0;
+    const variance = this.variance + this.processNoise * elapsedDays / 30;
+    const stdDev = Math.sqrt(variance);
+    return {
+      rate: this.rate,
+      variance,
+      stdDev,
+      low95: Math.max(0, this.rate - 1.96 * stdDev),
+      high95: this.rate + 1.96 * stdDev,
+      perSecond: this.rate / 86400,
+      lastRelease: this.lastRelease,
+      observations: this.observations
+    };
+  }
+
+  toJSON() {
+    return {
+      rate: this.rate,
+      variance: this.variance,
+      updatedAt: this.updatedAt,
+      lastRelease: this.lastRelease,
+      lastSignalAt: this.lastSignalAt,
+      observations: this.observations
+    };
+  }
+
+  restore(saved) {
+    if (!saved || !Number.isFinite(saved.rate)) return false;
+    this.rate = saved.rate;
+    this.variance = saved.variance;
+    this.updatedAt = saved.updatedAt;
+    this.lastRelease = saved.lastRelease;
+    this.lastSignalAt = saved.lastSignalAt || null;
+    this.observations = saved.observations || 0;
+    return true;
+  }
+}
+
+module.exports = RateNowcaster;
@@ -0,0 +1,227 @@
+/**
+ * Occupation-Level Exposure
+ *
+ * Derives each industry's low/mid/high AI exposure rate from two bundled
+ * files instead of asserting it:
+ *
+ *   data/occupation_exposure.csv
+ *     soc_code, title, exposure_low, exposure_mid, exposure_high, basis, source
+ *     Probability that a layoff in the occupation (SOC major group) is
+ *     AI-influenced, from task-level exposure.
+ *
+ *   data/occupation_industry_employment.csv
+ *     industry, soc_code, employment (thousands), source
+ *     Occupation mix of each JOLTS supersector, laid out like the BLS
+ *     National Employment Matrix at SOC major-group level.
+ *
+ * Every row names its provenance by a key into data/sources.csv
+ * (key, kind, citation, url, period, retrieved, note), which says whether
+ * the figures are published values, approximations or editorial
+ * estimates. Rates that rest on anything but published values are
+ * reported as provisional.
+ *
+ * An industry's rate is the employment-weighted mean of its occupations'
+ * rates; the residual "other" rate is the same mean over the whole economy.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseCsv } = require('../ingest/tables');
+
+const DATA_DIR = path.join(__dirname, 'data');
+const EXPOSURE_FILE = 'occupation_exposure.csv';
+const MATRIX_FILE = 'occupation_industry_employment.csv';
+const SOURCES_FILE = 'sources.csv';
+const RATE_KEYS = ['low', 'mid', 'high'];
+
+// sources.csv kind for figures taken as published; any other kind
+// (approximation, editorial estimate) makes the derived rates provisional
+const PUBLISHED_KIND = 'published';
+
+// Bundled CSV file → array of objects keyed by the header row
+function readCsv(file) {
+  // parseCsv returns a list of tables, like parseHtmlTables
+  const [[header, ...rows]] = parseCsv(fs.readFileSync(path.join(DATA_DIR, file), 'utf8'));
+  return rows.map(row => Object.fromEntries(header.map((name, i) => [name, row[i]])));
+}
+
+function toNumber(value, file, field) {
+  const number = parseFloat(value);
+  if (!Number.isFinite(number) || number < 0) {
+    throw new Error(`${file}: invalid ${field} "${value}"`);
+  }
+  return number;
+}
+
+// data/sources.csv as key → { key, kind, citation, url, period, retrieved, note }
+function loadSources() {
+  return new Map(readCsv(SOURCES_FILE).map(row => [row.key, row]));
+}
+
+function checkSource(row, file, sources) {
+  if (!sources.has(row.source)) {
+    throw new Error(`${file}: unknown source "${row.source}" (add it to ${SOURCES_FILE})`);
+  }
+  return row.source;
+}
+
+/**
+ * Load and cross-check the files. Throws on inconsistent data: the
+ * bundled files ship with the code, so a bad row is a build error.
+ */
+function loadOccupationData() {
+  const sources = loadSources();
+
+  const occupations = new Map();
+  for (const row of readCsv(EXPOSURE_FILE)) {
+    const rates = {
+      low: toNumber(row.exposure_low, EXPOSURE_FILE, 'exposure_low'),
+      mid: toNumber(row.exposure_mid, EXPOSURE_FILE, 'exposure_mid'),
+      high: toNumber(row.exposure_high, EXPOSURE_FILE, 'exposure_high')
+    };
+    if (!(rates.low <= rates.mid && rates.mid <= rates.high && rates.high <= 1)) {
+      throw new Error(`${EXPOSURE_FILE}: ${row.soc_code} rates must satisfy low <= mid <= high <= 1`);
+    }
+    occupations.set(row.soc_code, {
+      soc: row.soc_code,
+      title: row.title,
+      basis: row.basis,
+      source: checkSource(row, EXPOSURE_FILE, sources),
+      ...rates
+    });
+  }
+
+  const matrix = readCsv(MATRIX_FILE).map(row => {
+    if (!occupations.has(row.soc_code)) {
+      throw new Error(`${MATRIX_FILE}: unknown soc_code "${row.soc_code}"`);
+    }
+    return {
+      industry: row.industry,
+      soc: row.soc_code,
+      employment: toNumber(row.employment, MATRIX_FILE, 'employment'),
+      source: checkSource(row, MATRIX_FILE, sources)
+    };
+  });
+
+  return { sources, occupations, matrix };
+}
+
+// Employment-weighted rates for a set of matrix rows
+function weightedRates(rows, occupations) {
+  const employment = rows.reduce((sum, r) => sum + r.employment, 0);
+  const rates = {};
+  for (const key of RATE_KEYS) {
+    const weighted = rows.reduce((sum, r) => sum + r.employment * occupations.get(r.soc)[key], 0);
+    rates[key] = employment > 0 ? weighted / employment : 0;
+  }
+
+  const contributions = rows
+    .map(r => {
+      const occupation = occupations.get(r.soc);
+      const share = employment > 0 ? r.employment / employment : 0;
+      return {
+        soc: r.soc,
+        title: occupation.title,
+        employmentShare: share,
+        exposureMid: occupation.mid,
+        contributionMid: share * occupation.mid
+      };
+    })
+    .sort((a, b) => b.contributionMid - a.contributionMid);
+
+  return { employment, ...rates, contributions };
+}
+
+/**
+ * Whether figures resting on the given source keys can be taken as
+ * published, and why not
+ *
+ * @param {Iterable<string>} keys - Source keys the figures use
+ * @param {Map} sources - loadSources() result
+ * @param {string} [subject] - What the note describes
+ * @returns {{provisional: boolean, unpublishedSources: string[], note: string}}
+ */
+function sourceStatus(keys, sources, subject = 'the rates') {
+  const unpublished = [...new Set(keys)].map(key => sources.get(key)).filter(source => source.kind !== PUBLISHED_KIND);
+
+  return {
+    provisional: unpublished.length > 0,
+    unpublishedSources: unpublished.map(source => source.key),
+    note: unpublished.length > 0
+      ? `Provisional: ${subject} rest on ${unpublished.map(s => `${s.key} (${s.kind})`).join(' and ')}, ` +
+        'not on values taken from the cited datasets'
+      : 'Derived from published values only'
+  };
+}
+
+function derivationStatus(data) {
+  return sourceStatus([...data.occupations.values(), ...data.matrix].map(row => row.source), data.sources);
+}
+
+/**
+ * Industry rates with their full derivation
+ *
+ * @param {Array<string>} industries - Sectors to derive (must appear in the matrix)
+ * @returns {Object} { industries: {name: {employment, low, mid, high, contributions}}, other, occupations, sources, status }
+ */
+function deriveIndustryRates(industries, data = loadOccupationData()) {
+  const derived = {};
+  for (const industry of industries) {
+    const rows = data.matrix.filter(r => r.industry === industry);
+    if (!rows.length) throw new Error(`${MATRIX_FILE}: no rows for industry "${industry}"`);
+    derived[industry] = weightedRates(rows, data.occupations);
+  }
+
+  return {
+    industries: derived,
+    other: weightedRates(data.matrix, data.occupations),
+    occupations: [...data.occupations.values()],
+    sources: [...data.sources.values()],
+    status: derivationStatus(data)
+  };
+}
+
+const round = value => Math.round(value * 10000) / 10000;
+
+function rationale(rates, limit = 3) {
+  const top = rates.contributions.slice(0, limit)
+    .map(c => `${c.title} ${(c.employmentShare * 100).toFixed(0)}% × ${(c.exposureMid * 100).toFixed(1)}%`);
+  return `Occupation mix: ${top.join(', ')}`;
+}
+
+/**
+ * AI_EXPOSURE_MODEL-shaped rates derived from the bundled files
+ */
+function deriveExposureModel(industries, derivation = deriveIndustryRates(industries)) {
+  const model = {};
+  for (const [industry, rates] of Object.entries(derivation.industries)) {
+    model[industry] = {
+      low: round(rates.low),
+      mid: round(rates.mid),
+      high: round(rates.high),
+      rationale: rationale(rates)
+    };
+  }
+  model.other = {
+    low: round(derivation.other.low),
+    mid: round(derivation.other.mid),
+    high: round(derivation.other.high),
+    rationale: 'Residual between the sector sum and total nonfarm, at the economy-wide occupation mix'
+  };
+  return model;
+}
+
+module.exports = {
+  DATA_DIR,
+  EXPOSURE_FILE,
+  MATRIX_FILE,
+  SOURCES_FILE,
+  PUBLISHED_KIND,
+  readCsv,
+  loadSources,
+  checkSource,
+  sourceStatus,
+  loadOccupationData,
+  deriveIndustryRates,
+  deriveExposureModel
+};
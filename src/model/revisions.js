@@ -0,0 +1,109 @@
+/**
+ * JOLTS Revisions
+ *
+ * BLS revises each JOLTS month after its first release (and again with the
+ * annual benchmark). Every fetched value is kept as a vintage in the style
+ * of ALFRED: { value, realtime_start, realtime_end }, where realtime_start
+ * is the first fetch that saw the value and realtime_end the fetch that saw
+ * it replaced (null while current).
+ *
+ * A revision is a previously stored month whose value changed. Its effect
+ * on the counter is isolated by recomputing the metrics from the previous
+ * snapshot twice - as published, and with only the revised values swapped
+ * in - so newly released months do not count as revision impact.
+ */
+
+const crypto = require('crypto');
+const { computeMetrics } = require('./metrics');
+
+// FRED values arrive in thousands, so anything under one job is float noise
+const TOLERANCE = 0.5;
+
+/**
+ * Compare a fetched history against the open vintage of each month
+ *
+ * @param {Array<{date, value}>} history - Fetched observations
+ * @param {Object} vintages - { date: [{value, realtime_start, realtime_end}] } for the series
+ * @returns {{changes: Array<{date, value, previous}>, revised: Array<{date, previous, revised}>}}
+ *   changes are the vintages to open (first sightings and revisions);
+ *   revised only the months whose published value moved
+ */
+function compareVintages(history, vintages = {}) {
+  const changes = [];
+  const revised = [];
+
+  for (const { date, value } of history) {
+    const open = (vintages[date] || []).find(v => v.realtime_end === null);
+    if (open && Math.abs(open.value - value) <= TOLERANCE) continue;
+
+    changes.push({ date, value, previous: open ? open.value : null });
+    if (open) revised.push({ date, previous: open.value, revised: value });
+  }
+
+  return { changes, revised };
+}
+
+// Copy of a FRED snapshot with the revised values swapped in
+function applyRevisions(fred, months) {
+  const patched = { ...fred };
+  for (const { series, date, revised } of months) {
+    const current = patched[series];
+    if (!current?.history) continue;
+    patched[series] = {
+      ...current,
+      history: current.history.map(o => o.date === date ? { ...o, value: revised } : o),
+      value: current.date === date ? revised : current.value
+    };
+  }
+  return patched;
+}
+
+/**
+ * Counter impact of a set of revised months
+ *
+ * @param {Object} previous - liveData.fred before the fetch
+ * @param {Array<{series, date, revised}>} months
+ * @param {Object} [params] - Model parameters (defaults to the live model)
+ * @param {Date} [now]
+ * @returns {Object|null} before/after/delta per cumulative estimate, null without data
+ */
+function revisionImpact(previous, months, params = {}, now = new Date()) {
+  const before = computeMetrics(previous, params, now);
+  const after = computeMetrics(applyRevisions(previous, months), params, now);
+  if (!before || !after) return null;
+
+  const impact = {};
+  for (const key of ['historicalLow', 'historicalMid', 'historicalHigh', 'historicalAllLayoffs']) {
+    impact[key] = {
+      before: before.calculated[key],
+      after: after.calculated[key],
+      delta: after.calculated[key] - before.calculated[key]
+    };
+  }
+
+  // AI-attributed mid estimate of each revised month, before and after
+  const afterByMonth = new Map(after.monthly.map(m => [m.month, m]));
+  const revisedMonths = new Set(months.map(m => m.date.slice(0, 7)));
+  impact.months = before.monthly
+    .filter(m => revisedMonths.has(m.month))
+    .map(m => ({ month: m.month, before: m.mid, after: afterByMonth.get(m.month)?.mid ?? null }))
+    .map(m => ({ ...m, delta: m.after != null ? m.after - m.before : null }));
+
+  return impact;
+}
+
+/**
+ * Identity of a set of revised values, the same on every instance that
+ * sees them (the revision record's id is per fetch)
+ */
+function revisionKey(months) {
+  const values = months.map(m => `${m.seriesId || m.series}:${m.date}:${m.revised}`).sort();
+  return crypto.createHash('sha256').update(values.join(',')).digest('hex').slice(0, 16);
+}
+
+module.exports = {
+  compareVintages,
+  applyRevisions,
+  revisionImpact,
+  revisionKey
+};
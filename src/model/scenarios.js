@@ -0,0 +1,218 @@
+/**
+ * What-if Scenarios
+ *
+ * A scenario is a model version with some parameters overridden:
+ * sector exposure rates, the start date, category allocations and the
+ * type/enterprise multipliers. Running one recomputes the full metrics
+ * block and company attribution from the current FRED data without
+ * touching the live counter. Saved scenarios keep their resolved
+ * parameters, so a shared id always replays the same assumptions.
+ */
+
+const crypto = require('crypto');
+const { computeMetrics } = require('./metrics');
+const { AI_START_DATE, expandCalendarMonths } = require('./exposure');
+const { calculateDisplacementScores } = require('./companies');
+
+const OVERRIDE_FIELDS = ['exposure', 'startDate', 'allocations', 'typeMult', 'enterpriseMult'];
+const FIELDS = ['name', 'baseVersion', ...OVERRIDE_FIELDS, 'save'];
+const RATE_KEYS = ['low', 'mid', 'high'];
+
+function isObject(value) {
+  return value && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Validate a { key: number } override against the keys of the base table
+ */
+function checkMultipliers(name, overrides, base, errors) {
+  if (overrides === undefined) return;
+  if (!isObject(overrides)) {
+    errors.push(`${name} must be an object`);
+    return;
+  }
+  for (const [key, value] of Object.entries(overrides)) {
+    if (!Object.hasOwn(base, key)) {
+      errors.push(`${name}.${key} is not one of: ${Object.keys(base).join(', ')}`);
+    } else if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+      errors.push(`${name}.${key} must be a non-negative number`);
+    }
+  }
+}
+
+/**
+ * Override a sector's mid rate alone: low and high scale with it, keeping
+ * the band's shape (clamped to 0-1). A zero base mid has no shape to
+ * scale, so the band just widens to take in the new mid.
+ */
+function rescaleBand(rates, mid) {
+  if (rates.mid > 0) {
+    const ratio = mid / rates.mid;
+    return { low: Math.min(rates.low * ratio, mid), mid, high: Math.min(Math.max(rates.high * ratio, mid), 1) };
+  }
+  return { low: Math.min(rates.low, mid), mid, high: Math.max(rates.high, mid) };
+}
+
+/**
+ * Apply a request body to a base model version.
+ *
+ * Exposure overrides are partial per sector ({ information: { mid: 0.3 } }).
+ * A mid on its own rescales low/high around it (see rescaleBand); any other
+ * combination must leave low <= mid <= high. A body that overrides nothing,
+ * or names a sector without any rate, is rejected.
+ *
+ * @param {Object} body
+ * @param {Object} base - Model version to start from
+ * @returns {{value?: {name, baseVersion, overrides, params}, errors?: string[]}}
+ */
+function resolveScenario(body, base) {
+  if (!isObject(body)) return { errors: ['Body must be a JSON object'] };
+
+  const errors = [];
+  for (const key of Object.keys(body)) {
+    if (!FIELDS.includes(key)) errors.push(`Unknown field ${key}`);
+  }
+
+  if (body.name !== undefined && (typeof body.name !== 'string' || !body.name.trim() || body.name.length > 100)) {
+    errors.push('name must be a non-empty string of at most 100 characters');
+  }
+  if (body.save !== undefined && typeof body.save !== 'boolean') {
+    errors.push('save must be true or false');
+  }
+
+  const exposure = JSON.parse(JSON.stringify(base.params.exposure));
+  if (body.exposure !== undefined) {
+    if (!isObject(body.exposure)) {
+      errors.push('exposure must be an object of sector rates');
+    } else {
+      for (const [sector, rates] of Object.entries(body.exposure)) {
+        if (!Object.hasOwn(exposure, sector)) {
+          errors.push(`Unknown sector "${sector}". Expected one of: ${Object.keys(exposure).join(', ')}`);
+          continue;
+        }
+        if (!isObject(rates)) {
+          errors.push(`exposure.${sector} must be an object`);
+          continue;
+        }
+        if (!Object.keys(rates).length) {
+          errors.push(`exposure.${sector} must override at least one of: ${RATE_KEYS.join(', ')}`);
+          continue;
+        }
+        const given = {};
+        for (const [key, value] of Object.entries(rates)) {
+          if (!RATE_KEYS.includes(key)) {
+            errors.push(`exposure.${sector}.${key} is not one of: ${RATE_KEYS.join(', ')}`);
+          } else if (typeof value !== 'number' || !(value >= 0 && value <= 1)) {
+            errors.push(`exposure.${sector}.${key} must be a number between 0 and 1`);
+          } else {
+            given[key] = value;
+          }
+        }
+        const keys = Object.keys(given);
+        exposure[sector] = keys.length === 1 && keys[0] === 'mid'
+          ? rescaleBand(exposure[sector], given.mid)
+          : { ...exposure[sector], ...given };
+        const { low, mid, high } = exposure[sector];
+        if (!(low <= mid && mid <= high)) {
+          errors.push(`exposure.${sector} must satisfy low <= mid <= high`);
+        }
+      }
+    }
+  }
+
+  if (body.startDate !== undefined) {
+    const valid = typeof body.startDate === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(body.startDate)
+      && Number.isFinite(Date.parse(body.startDate));
+    if (!valid) {
+      errors.push('startDate must be a YYYY-MM-DD date');
+    } else if (body.startDate < AI_START_DATE || Date.parse(body.startDate) > Date.now()) {
+      // JOLTS is only fetched from AI_START_DATE onwards
+      errors.push(`startDate must be between ${AI_START_DATE} and today`);
+    }
+  }
+
+  checkMultipliers('allocations', body.allocations, base.params.allocations, errors);
+  checkMultipliers('typeMult', body.typeMult, base.params.typeMult, errors);
+  checkMultipliers('enterpriseMult', body.enterpriseMult, base.params.enterpriseMult, errors);
+
+  if (errors.length) return { errors };
+
+  const params = {
+    exposure,
+    allocations: { ...base.params.allocations, ...body.allocations },
+    typeMult: { ...base.params.typeMult, ...body.typeMult },
+    enterpriseMult: { ...base.params.enterpriseMult, ...body.enterpriseMult },
+    startDate: body.startDate || base.params.startDate
+  };
+
+  if (!Object.values(params.allocations).some(a => a > 0)) {
+    return { errors: ['At least one category allocation must be positive'] };
+  }
+
+  const overrides = {};
+  for (const key of OVERRIDE_FIELDS) {
+    const value = body[key];
+    if (value !== undefined && !(isObject(value) && !Object.keys(value).length)) overrides[key] = value;
+  }
+  if (!Object.keys(overrides).length) {
+    return { errors: [`A scenario must override at least one of: ${OVERRIDE_FIELDS.join(', ')}`] };
+  }
+
+  return {
+    value: {
+      name: body.name?.trim() || null,
+      baseVersion: base.id,
+      overrides,
+      params
+    }
+  };
+}
+
+/**
+ * Compute the full metrics block for a set of parameters
+ *
+ * @param {Object} params - Resolved scenario (or model version) parameters
+ * @param {Object} context
+ * @param {Object} context.fred - liveData.fred
+ * @param {Array} context.companies - Company registry
+ * @param {Date} [context.now]
+ * @returns {Object|null} null when no JOLTS data is loaded
+ */
+function runScenario(params, { fred, companies, now = new Date() }) {
+  const result = computeMetrics(fred, params, now);
+  if (!result) return null;
+
+  const { calculated, monthly } = result;
+  const attribution = calculateDisplacementScores(companies, Math.floor(calculated.historicalMid), now, params);
+
+  return {
+    calculated,
+    monthly: expandCalendarMonths(monthly, now, params.startDate).map(m => ({
+      month: m.month,
+      basis: m.basis,
+      total: Math.round(m.total),
+      low: Math.round(m.low),
+      mid: Math.round(m.mid),
+      high: Math.round(m.high)
+    })),
+    companies: attribution.map(c => ({
+      rank: c.rank,
+      slug: c.slug,
+      name: c.name,
+      category: c.category,
+      share: parseFloat(c.percentage),
+      displacement: c.displacement
+    })),
+    computedAt: now.toISOString()
+  };
+}
+
+function createScenarioId() {
+  return crypto.randomBytes(9).toString('base64url');
+}
+
+module.exports = {
+  resolveScenario,
+  runScenario,
+  createScenarioId
+};
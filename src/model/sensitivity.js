@@ -0,0 +1,294 @@
+/**
+ * Sensitivity Analysis
+ *
+ * Which assumption moves the headline number (cumulative AI-attributed
+ * layoffs, mid estimate) and each company's share the most?
+ *
+ * Parameters covered:
+ *   exposure.<sector>       - mid exposure rate, varied across the sector's [low, high]
+ *   allocation.<category>   - DISPLACEMENT_CATEGORIES allocation, ± delta
+ *   typeMult.<type>         - DISPLACEMENT_TYPE_MULT, ± delta
+ *   enterpriseMult.<level>  - ENTERPRISE_MULT, ± delta
+ *   maturity.months.<i>     - adoption curve breakpoint position, ± delta
+ *   maturity.level.<i>      - adoption curve level at a breakpoint, ± delta (capped at 1)
+ *
+ * Two methods over the same ranges:
+ *   one-at-a-time (OAT) - each parameter at its low and high end, all others
+ *                         at base; the swing gives a tornado ranking
+ *   Sobol               - Saltelli sampling with uniform draws over the ranges;
+ *                         first-order (S1) and total-order (ST) indices via the
+ *                         Saltelli 2010 / Jansen estimators, so interactions
+ *                         between the multiplicative factors show up as ST - S1
+ *
+ * The exposure rates only drive the total; the company factors only drive
+ * shares (shares are normalized), so each shows zero effect on the other.
+ */
+
+const { computeMetrics } = require('./metrics');
+const { scoreCompanies, slugify, MATURITY_CURVE } = require('./companies');
+const { createRng } = require('./uncertainty');
+
+/**
+ * Enumerate the parameters and their ranges around the given base
+ *
+ * @returns {Array<{id, group, base, low, high}>}
+ */
+function buildParameters(base, delta) {
+  const around = value => [Math.max(0, value * (1 - delta)), value * (1 + delta)];
+  const parameters = [];
+
+  for (const [sector, rates] of Object.entries(base.exposure)) {
+    parameters.push({ id: `exposure.${sector}`, group: 'exposure', base: rates.mid, low: rates.low, high: rates.high });
+  }
+  for (const [category, allocation] of Object.entries(base.allocations)) {
+    const [low, high] = around(allocation);
+    parameters.push({ id: `allocation.${category}`, group: 'allocation', base: allocation, low, high });
+  }
+  for (const [type, mult] of Object.entries(base.typeMult)) {
+    const [low, high] = around(mult);
+    parameters.push({ id: `typeMult.${type}`, group: 'typeMult', base: mult, low, high });
+  }
+  for (const [level, mult] of Object.entries(base.enterpriseMult)) {
+    const [low, high] = around(mult);
+    parameters.push({ id: `enterpriseMult.${level}`, group: 'enterpriseMult', base: mult, low, high });
+  }
+  base.maturityCurve.forEach((point, i) => {
+    // The first breakpoint is launch day; moving it would shift every company equally
+    if (i > 0) {
+      const [low, high] = around(point.months);
+      parameters.push({ id: `maturity.months.${i}`, group: 'maturity', base: point.months, low, high });
+    }
+    const [low, high] = around(point.level);
+    parameters.push({ id: `maturity.level.${i}`, group: 'maturity', base: point.level, low, high: Math.min(1, high) });
+  });
+
+  return parameters;
+}
+
+// Base parameters with the given parameter values substituted
+function applyValues(base, parameters, values) {
+  const params = {
+    exposure: { ...base.exposure },
+    allocations: { ...base.allocations },
+    typeMult: { ...base.typeMult },
+    enterpriseMult: { ...base.enterpriseMult },
+    maturityCurve: base.maturityCurve.map(point => ({ ...point })),
+    startDate: base.startDate
+  };
+
+  parameters.forEach((parameter, i) => {
+    const value = values[i];
+    const [group, key, index] = parameter.id.split('.');
+    switch (group) {
+      case 'exposure':
+        params.exposure[key] = { low: value, mid: value, high: value };
+        break;
+      case 'allocation':
+        params.allocations[key] = value;
+        break;
+      case 'typeMult':
+      case 'enterpriseMult':
+        params[group][key] = value;
+        break;
+      case 'maturity':
+        params.maturityCurve[Number(index)][key === 'months' ? 'months' : 'level'] = value;
+        break;
+    }
+  });
+
+  return params;
+}
+
+/**
+ * The analysis as a generator that yields after every model evaluation,
+ * so callers choose whether to run it in one go or in batches
+ */
+function* analysis(fred, companies, base, options = {}) {
+  const { delta = 0.2, samples = 128, seed = 1, now = new Date() } = options;
+
+  base = { maturityCurve: MATURITY_CURVE, ...base };
+  const parameters = buildParameters(base, delta);
+  const baseValues = parameters.map(p => p.base);
+  const active = companies.filter(c => !c.retired);
+  const slugs = active.map(c => slugify(c.name));
+
+  // The two model halves are independent, so only recompute the one a change touches
+  const totalOf = values => computeMetrics(fred, applyValues(base, parameters, values), now)?.calculated.historicalMid ?? null;
+  const sharesOf = values => {
+    const scored = scoreCompanies(active, now, applyValues(base, parameters, values));
+    const totalRaw = scored.reduce((sum, c) => sum + c.rawScore, 0);
+    const shares = new Map(scored.map(c => [slugify(c.name), totalRaw > 0 ? c.rawScore / totalRaw * 100 : 0]));
+    return slugs.map(slug => shares.get(slug) || 0);
+  };
+  const isExposure = i => parameters[i].group === 'exposure';
+  let evaluations = 0;
+  const evaluate = (values, changed = null) => {
+    evaluations++;
+    return {
+      total: changed === null || isExposure(changed) ? totalOf(values) : undefined,
+      shares: changed === null || !isExposure(changed) ? sharesOf(values) : undefined
+    };
+  };
+
+  const baseline = evaluate(baseValues);
+  if (baseline.total === null) return null;
+
+  // One-at-a-time
+  const oat = [];
+  for (const [i, parameter] of parameters.entries()) {
+    const at = value => {
+      const values = [...baseValues];
+      values[i] = value;
+      const result = evaluate(values, i);
+      return {
+        total: result.total ?? baseline.total,
+        shares: result.shares ?? baseline.shares
+      };
+    };
+    const low = at(parameter.low);
+    yield;
+    oat.push({ low, high: at(parameter.high) });
+    yield;
+  }
+
+  const tornado = (outputOf, baseOutput) => parameters
+    .map((parameter, i) => {
+      const low = outputOf(oat[i].low);
+      const high = outputOf(oat[i].high);
+      return {
+        parameter: parameter.id,
+        group: parameter.group,
+        range: [parameter.low, parameter.high],
+        low,
+        high,
+        swing: Math.abs(high - low),
+        lowDelta: low - baseOutput,
+        highDelta: high - baseOutput
+      };
+    })
+    .sort((a, b) => b.swing - a.swing)
+    .map((row, index) => ({ rank: index + 1, ...row }));
+
+  // Sobol (Saltelli): matrices A and B, and A with column i taken from B
+  const rng = createRng(seed);
+  const draw = () => parameters.map(p => p.low + (p.high - p.low) * rng());
+  const A = Array.from({ length: samples }, draw);
+  const B = Array.from({ length: samples }, draw);
+  const fA = [];
+  const fB = [];
+  for (let j = 0; j < samples; j++) {
+    fA.push(evaluate(A[j]));
+    yield;
+    fB.push(evaluate(B[j]));
+    yield;
+  }
+  const fAB = [];
+  for (let i = 0; i < parameters.length; i++) {
+    const column = [];
+    for (let j = 0; j < samples; j++) {
+      const values = [...A[j]];
+      values[i] = B[j][i];
+      const result = evaluate(values, i);
+      column.push({
+        total: result.total ?? fA[j].total,
+        shares: result.shares ?? fA[j].shares
+      });
+      yield;
+    }
+    fAB.push(column);
+  }
+
+  const sobol = outputOf => {
+    // Centering the outputs keeps the S1 estimator from being swamped by the mean
+    const rawA = fA.map(outputOf);
+    const rawB = fB.map(outputOf);
+    const all = [...rawA, ...rawB];
+    const mean = all.reduce((sum, v) => sum + v, 0) / all.length;
+    const variance = all.reduce((sum, v) => sum + (v - mean) ** 2, 0) / all.length;
+    const a = rawA.map(v => v - mean);
+    const b = rawB.map(v => v - mean);
+
+    return parameters
+      .map((parameter, i) => {
+        const ab = fAB[i].map(r => outputOf(r) - mean);
+        let first = 0;
+        let total = 0;
+        for (let j = 0; j < samples; j++) {
+          first += b[j] * (ab[j] - a[j]);
+          total += (a[j] - ab[j]) ** 2;
+        }
+        return {
+          parameter: parameter.id,
+          group: parameter.group,
+          firstOrder: variance > 0 ? first / samples / variance : 0,
+          totalOrder: variance > 0 ? total / (2 * samples) / variance : 0
+        };
+      })
+      .sort((x, y) => y.totalOrder - x.totalOrder);
+  };
+
+  return {
+    method: {
+      oat: { delta, note: 'Exposure rates span each sector\'s [low, high]; other parameters ± delta' },
+      sobol: { samples, seed, estimator: 'Saltelli 2010 (S1), Jansen (ST)' },
+      evaluations
+    },
+    parameters,
+    total: {
+      output: 'Cumulative AI-attributed layoffs (mid)',
+      base: baseline.total,
+      tornado: tornado(r => r.total, baseline.total),
+      sobol: sobol(r => r.total)
+    },
+    companies: active.map((company, k) => ({
+      slug: slugs[k],
+      name: company.name,
+      output: 'Share of attributed displacement (%)',
+      base: baseline.shares[k],
+      tornado: tornado(r => r.shares[k], baseline.shares[k]),
+      sobol: sobol(r => r.shares[k])
+    })),
+    computedAt: now.toISOString()
+  };
+}
+
+/**
+ * @param {Object} fred - liveData.fred
+ * @param {Array} companies - Company registry
+ * @param {Object} base - Model version parameters
+ * @param {Object} [options]
+ * @param {number} [options.delta] - Relative range for non-exposure parameters
+ * @param {number} [options.samples] - Sobol base sample size N (N × (k + 2) evaluations)
+ * @param {number} [options.seed]
+ * @param {Date} [options.now]
+ * @returns {Object|null} null when no JOLTS data is loaded
+ */
+function analyzeSensitivity(fred, companies, base, options = {}) {
+  const steps = analysis(fred, companies, base, options);
+  let step;
+  do {
+    step = steps.next();
+  } while (!step.done);
+  return step.value;
+}
+
+/**
+ * analyzeSensitivity() yielding to the event loop every `batchSize`
+ * evaluations, like simulateInBatches. Same report for the same inputs.
+ *
+ * @returns {Promise<Object|null>}
+ */
+async function analyzeSensitivityInBatches(fred, companies, base, options = {}, batchSize = 25) {
+  const steps = analysis(fred, companies, base, options);
+  for (let count = 1; ; count++) {
+    const step = steps.next();
+    if (step.done) return step.value;
+    if (count % batchSize === 0) await new Promise(resolve => setImmediate(resolve));
+  }
+}
+
+module.exports = {
+  buildParameters,
+  analyzeSensitivity,
+  analyzeSensitivityInBatches
+};
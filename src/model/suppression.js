@@ -0,0 +1,166 @@
+/**
+ * Net Hiring Suppression
+ *
+ * Layoffs only count jobs that existed. AI can also show up as jobs that
+ * are never created: a high-exposure sector hiring less than it used to
+ * while the rest of the economy keeps hiring. This is reported as its own
+ * counter so the layoffs number stays comparable over time.
+ *
+ * For each high-exposure sector and month:
+ *
+ *   expected = baseline share × total nonfarm hires that month
+ *   gap      = expected − actual hires   (positive = fewer hires than baseline)
+ *
+ * where the baseline share is the sector's average share of total hires in
+ * the same calendar month over the pre-AI baseline years (so seasonal
+ * patterns cancel). Gaps are netted across months and sectors, and the
+ * AI-attributed part is gap × the sector's low/mid/high exposure rate.
+ *
+ * Openings and quits go through the same baseline comparison as
+ * diagnostics: fewer openings corroborates a hiring gap, while quits above
+ * baseline point to workers leaving exposed sectors voluntarily.
+ */
+
+const { AI_START_DATE, integrateCumulative } = require('./exposure');
+
+const FLOWS = ['hires', 'quits', 'openings'];
+
+function monthMap(series) {
+  return new Map((series?.history || []).map(o => [o.date.slice(0, 7), o.value]));
+}
+
+/**
+ * Average share of the total for each calendar month ('01'-'12') over the baseline
+ */
+function baselineShares(sector, total, baseline) {
+  const sums = {};
+  for (const [month, value] of sector) {
+    if (month < baseline.start || month > baseline.end || !(total.get(month) > 0)) continue;
+    const calendarMonth = month.slice(5);
+    sums[calendarMonth] = sums[calendarMonth] || { share: 0, n: 0 };
+    sums[calendarMonth].share += value / total.get(month);
+    sums[calendarMonth].n++;
+  }
+
+  const shares = {};
+  for (const [calendarMonth, { share, n }] of Object.entries(sums)) {
+    shares[calendarMonth] = share / n;
+  }
+  return shares;
+}
+
+/**
+ * Expected vs actual for one flow in one sector, for every month since startMonth
+ *
+ * @returns {Array<{month, actual, expected, gap}>|null} null without baseline data
+ */
+function flowGaps(flow, sector, baseline, startMonth) {
+  const total = monthMap(flow?.total);
+  const values = monthMap(flow?.[sector]);
+  const shares = baselineShares(values, total, baseline);
+  if (!Object.keys(shares).length) return null;
+
+  return [...values.keys()]
+    .filter(month => month >= startMonth && total.get(month) > 0 && shares[month.slice(5)] != null)
+    .sort()
+    .map(month => {
+      const expected = shares[month.slice(5)] * total.get(month);
+      const actual = values.get(month);
+      return { month, actual, expected, gap: expected - actual };
+    });
+}
+
+/**
+ * @param {Object} flows - { hires, quits, openings }, each keyed like liveData.fred
+ * @param {Object} model - Exposure rates (AI_EXPOSURE_MODEL)
+ * @param {Object} options
+ * @param {number} options.minExposure - Sectors with a mid rate at or above this are included
+ * @param {string} options.baselineStart - YYYY-MM-DD
+ * @param {string} options.baselineEnd - YYYY-MM-DD
+ * @param {string} [options.startDate] - Counting start (YYYY-MM-DD)
+ * @param {Date} [options.now]
+ * @returns {Object|null} null when hires data (or its baseline) is missing
+ */
+function computeSuppression(flows, model, options) {
+  const { minExposure, startDate = AI_START_DATE, now = new Date() } = options;
+  const baseline = { start: options.baselineStart.slice(0, 7), end: options.baselineEnd.slice(0, 7) };
+  const startMonth = startDate.slice(0, 7);
+
+  const sectors = Object.keys(model).filter(s => s !== 'other' && model[s].mid >= minExposure);
+  const byMonth = new Map();
+  const bySector = {};
+  const diagnostics = { openings: {}, quits: {} };
+
+  for (const sector of sectors) {
+    const rates = model[sector];
+    const gaps = flowGaps(flows.hires, sector, baseline, startMonth);
+    if (!gaps) continue;
+
+    let gap = 0;
+    for (const m of gaps) {
+      gap += m.gap;
+      const entry = byMonth.get(m.month) || { month: m.month, total: 0, low: 0, mid: 0, high: 0 };
+      entry.total += m.gap;
+      entry.low += m.gap * rates.low;
+      entry.mid += m.gap * rates.mid;
+      entry.high += m.gap * rates.high;
+      byMonth.set(m.month, entry);
+    }
+    bySector[sector] = {
+      exposure: rates.mid,
+      months: gaps.length,
+      hiresGap: Math.round(gap),
+      attributedMid: Math.round(gap * rates.mid)
+    };
+
+    for (const flow of ['openings', 'quits']) {
+      const flowSeries = flowGaps(flows[flow], sector, baseline, startMonth);
+      if (!flowSeries) continue;
+      const expected = flowSeries.reduce((sum, m) => sum + m.expected, 0);
+      const actual = flowSeries.reduce((sum, m) => sum + m.actual, 0);
+      diagnostics[flow][sector] = {
+        expected: Math.round(expected),
+        actual: Math.round(actual),
+        vsBaselinePct: expected > 0 ? (actual / expected - 1) * 100 : null
+      };
+    }
+  }
+
+  const monthly = [...byMonth.values()].sort((a, b) => a.month.localeCompare(b.month));
+  if (!monthly.length) return null;
+
+  // Same calendar integration as the layoffs counter: reported months as-is,
+  // unreleased months at the latest month's daily rate
+  const cumulative = integrateCumulative(monthly, now, startDate);
+  const latest = monthly[monthly.length - 1];
+  const latestDays = new Date(Date.UTC(+latest.month.slice(0, 4), +latest.month.slice(5), 0)).getUTCDate();
+
+  return {
+    sectors: Object.keys(bySector),
+    baseline,
+    cumulative: {
+      hiresGap: Math.round(cumulative.total),
+      low: Math.round(cumulative.low),
+      mid: Math.round(cumulative.mid),
+      high: Math.round(cumulative.high),
+      through: cumulative.throughMonth,
+      extrapolatedDays: cumulative.extrapolatedDays
+    },
+    perDayMid: latest.mid / latestDays,
+    monthly: monthly.map(m => ({
+      month: m.month,
+      hiresGap: Math.round(m.total),
+      low: Math.round(m.low),
+      mid: Math.round(m.mid),
+      high: Math.round(m.high)
+    })),
+    bySector,
+    diagnostics,
+    computedAt: now.toISOString()
+  };
+}
+
+module.exports = {
+  FLOWS,
+  computeSuppression
+};
@@ -0,0 +1,220 @@
+/**
+ * Monte Carlo Uncertainty
+ *
+ * The fixed low/high range sums every sector's low (or high) rate, which
+ * assumes all sectors are wrong in the same direction at once and ignores
+ * JOLTS sampling error. Here each draw instead:
+ *
+ *   1. samples every sector's exposure rate from a triangular(low, mid, high)
+ *      distribution, linked through a Gaussian copula with one shared factor
+ *      (`correlation` 0 = independent sectors, 1 = the old all-low/all-high)
+ *   2. scales each reported JOLTS value by (1 + ε), ε ~ N(0, revisionError)
+ *   3. reruns computeMetrics
+ *
+ * and the draws are summarized as p5/p25/p50/p75/p95 bands. The RNG is
+ * seeded, so the same data, parameters and seed give the same bands.
+ */
+
+const { computeMetrics } = require('./metrics');
+const { AI_EXPOSURE_MODEL } = require('./exposure');
+
+const PERCENTILES = [5, 25, 50, 75, 95];
+
+/**
+ * Mulberry32: small, fast, seedable PRNG returning floats in [0, 1)
+ */
+function createRng(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Standard normal draw (Box-Muller)
+function normal(rng) {
+  const u = 1 - rng();
+  const v = rng();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+// Standard normal CDF (Abramowitz & Stegun 7.1.26, |error| < 1.5e-7)
+function normalCdf(x) {
+  const z = Math.abs(x) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * z);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-z * z);
+  return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+// Inverse CDF of the triangular distribution with the given min/mode/max
+function triangularQuantile(u, low, mode, high) {
+  if (high <= low) return low;
+  const split = (mode - low) / (high - low);
+  return u < split
+    ? low + Math.sqrt(u * (high - low) * (mode - low))
+    : high - Math.sqrt((1 - u) * (high - low) * (high - mode));
+}
+
+/**
+ * One draw of the exposure model: every sector gets a single rate
+ * (low = mid = high) so computeMetrics' mid estimate is the draw
+ */
+function sampleExposure(model, rng, correlation) {
+  const shared = normal(rng);
+  const sampled = {};
+  for (const [sector, rates] of Object.entries(model)) {
+    const z = Math.sqrt(correlation) * shared + Math.sqrt(1 - correlation) * normal(rng);
+    const rate = triangularQuantile(normalCdf(z), rates.low, rates.mid, rates.high);
+    sampled[sector] = { low: rate, mid: rate, high: rate };
+  }
+  return sampled;
+}
+
+// Copy of liveData.fred with every reported value scaled by its own sampling error
+function perturbFred(fred, rng, revisionError) {
+  if (!revisionError) return fred;
+
+  const perturbed = {};
+  for (const [key, series] of Object.entries(fred)) {
+    if (!series?.history) {
+      perturbed[key] = series;
+      continue;
+    }
+    const history = series.history.map(o => ({
+      date: o.date,
+      value: Math.max(0, o.value * (1 + revisionError * normal(rng)))
+    }));
+    const latest = history.find(o => o.date === series.date);
+    perturbed[key] = { ...series, history, value: latest ? latest.value : series.value };
+  }
+  return perturbed;
+}
+
+/**
+ * Linear-interpolated percentiles of an unsorted sample
+ */
+function percentiles(values, ps = PERCENTILES) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const bands = {};
+  for (const p of ps) {
+    const pos = (p / 100) * (sorted.length - 1);
+    const lo = Math.floor(pos);
+    const hi = Math.ceil(pos);
+    bands[`p${p}`] = Math.round(sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo));
+  }
+  return bands;
+}
+
+/**
+ * A simulation that can be run a batch of draws at a time
+ *
+ * @returns {{run: Function, result: Function}|null} null when no data is loaded
+ */
+function createSimulation(fred, params = {}, options = {}) {
+  const {
+    samples = 2000,
+    seed = 1,
+    correlation = 0.5,
+    revisionError = 0.04,
+    now = new Date()
+  } = options;
+
+  if (!(fred.total?.value > 0)) return null;
+
+  const rng = createRng(seed);
+  const exposure = params.exposure || AI_EXPOSURE_MODEL;
+
+  const monthly = [];
+  const daily = [];
+  const cumulative = [];
+  const byMonth = new Map();
+  let drawn = 0;
+
+  return {
+    // Take up to `count` more draws; true once all samples are drawn
+    run(count = samples) {
+      const end = Math.min(samples, drawn + count);
+      for (; drawn < end; drawn++) {
+        const draw = computeMetrics(
+          perturbFred(fred, rng, revisionError),
+          { ...params, exposure: sampleExposure(exposure, rng, correlation) },
+          now
+        );
+        if (!draw) continue;
+
+        monthly.push(draw.calculated.aiMid);
+        daily.push(draw.calculated.aiMid / 30);
+        cumulative.push(draw.calculated.historicalMid);
+        for (const m of draw.monthly) {
+          if (!byMonth.has(m.month)) byMonth.set(m.month, []);
+          byMonth.get(m.month).push(m.mid);
+        }
+      }
+      return drawn >= samples;
+    },
+
+    result() {
+      if (!monthly.length) return null;
+
+      return {
+        samples: monthly.length,
+        seed,
+        correlation,
+        revisionError,
+        monthly: percentiles(monthly),
+        daily: percentiles(daily),
+        cumulative: percentiles(cumulative),
+        series: [...byMonth].map(([month, values]) => ({ month, ...percentiles(values) })),
+        computedAt: now.toISOString()
+      };
+    }
+  };
+}
+
+/**
+ * @param {Object} fred - liveData.fred
+ * @param {Object} [params] - Model version / scenario parameters (defaults to the live model)
+ * @param {Object} [options]
+ * @param {number} [options.samples]
+ * @param {number} [options.seed]
+ * @param {number} [options.correlation] - Shared-factor weight between sectors, 0-1
+ * @param {number} [options.revisionError] - Relative std dev of each JOLTS value
+ * @param {Date} [options.now]
+ * @returns {Object|null} Percentile bands, or null when no data is loaded
+ */
+function simulate(fred, params = {}, options = {}) {
+  const simulation = createSimulation(fred, params, options);
+  if (!simulation) return null;
+  simulation.run();
+  return simulation.result();
+}
+
+/**
+ * simulate() in batches of draws, yielding to the event loop between
+ * them so a run does not stall live ticks or requests. Same bands as
+ * simulate() for the same inputs.
+ *
+ * @param {number} [batchSize] - Draws per turn of the event loop
+ * @returns {Promise<Object|null>}
+ */
+async function simulateInBatches(fred, params = {}, options = {}, batchSize = 25) {
+  const simulation = createSimulation(fred, params, options);
+  if (!simulation) return null;
+  while (!simulation.run(batchSize)) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+  return simulation.result();
+}
+
+module.exports = {
+  PERCENTILES,
+  createRng,
+  triangularQuantile,
+  percentiles,
+  simulate,
+  simulateInBatches
+};
@@ -0,0 +1,175 @@
+/**
+ * Model Versions
+ *
+ * A version is an immutable snapshot of every parameter behind a published
+ * figure: exposure rates, category allocations, type and enterprise
+ * multipliers and the counting start date. The live model always runs as
+ * the current version; any stored version can be replayed against the
+ * FRED data through computeMetrics.
+ *
+ * Versions are numbered from the built-in 2.0 upwards (2.1, 2.2, ...) and
+ * identified by a hash of their parameters, so reverting an edit returns
+ * to the earlier version instead of minting a new one.
+ */
+
+const crypto = require('crypto');
+const store = require('../data/store');
+const { AI_START_DATE, AI_EXPOSURE_MODEL } = require('./exposure');
+const { DISPLACEMENT_CATEGORIES, DISPLACEMENT_TYPE_MULT, ENTERPRISE_MULT } = require('./companies');
+const logger = require('../logger');
+
+const BASE_VERSION = '2.0';
+
+/**
+ * The parameters the live model is running with right now
+ */
+function currentParameters() {
+  const allocations = {};
+  for (const [category, { allocation }] of Object.entries(DISPLACEMENT_CATEGORIES)) {
+    allocations[category] = allocation;
+  }
+
+  return {
+    exposure: JSON.parse(JSON.stringify(AI_EXPOSURE_MODEL)),
+    allocations,
+    typeMult: { ...DISPLACEMENT_TYPE_MULT },
+    enterpriseMult: { ...ENTERPRISE_MULT },
+    startDate: AI_START_DATE
+  };
+}
+
+// The parameters as shipped, captured before persisted admin edits are restored
+const BUILTIN_PARAMETERS = currentParameters();
+
+// JSON with sorted keys, so the hash does not depend on insertion order
+function canonical(value) {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${canonical(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function hashParameters(params) {
+  return crypto.createHash('sha256').update(canonical(params)).digest('hex').slice(0, 16);
+}
+
+let currentId = null;
+
+function listVersions() {
+  return store.getModelVersions();
+}
+
+function getVersion(id) {
+  return listVersions().find(v => v.id === id) || null;
+}
+
+function getCurrentVersion() {
+  return getVersion(currentId);
+}
+
+function nextVersionId() {
+  const [major] = BASE_VERSION.split('.');
+  const minors = listVersions()
+    .map(v => v.id.split('.'))
+    .filter(([m]) => m === major)
+    .map(([, minor]) => parseInt(minor) || 0);
+  return `${major}.${Math.max(0, ...minors) + 1}`;
+}
+
+/**
+ * Make sure the live parameters are recorded as a version and mark it current.
+ * Call after startup restore and after every model edit.
+ *
+ * @param {Object} [meta]
+ * @param {string} [meta.actor] - Who caused the change
+ * @param {string} [meta.reason] - Why (e.g. the admin action)
+ * @returns {Promise<Object>} The current version
+ */
+async function ensureCurrentVersion({ actor = 'system', reason = null } = {}) {
+  if (listVersions().length === 0) {
+    await store.addModelVersion({
+      id: BASE_VERSION,
+      createdAt: new Date().toISOString(),
+      createdBy: 'system',
+      reason: 'Built-in parameters',
+      hash: hashParameters(BUILTIN_PARAMETERS),
+      params: BUILTIN_PARAMETERS
+    });
+  }
+
+  const params = currentParameters();
+  const hash = hashParameters(params);
+  let version = listVersions().find(v => v.hash === hash);
+
+  if (!version) {
+    version = {
+      id: nextVersionId(),
+      createdAt: new Date().toISOString(),
+      createdBy: actor,
+      reason,
+      hash,
+      params
+    };
+    await store.addModelVersion(version);
+    logger.info('Created model version', { id: version.id, actor, reason });
+  }
+
+  currentId = version.id;
+  return version;
+}
+
+function flatten(value, prefix, out) {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    for (const [key, child] of Object.entries(value)) {
+      flatten(child, prefix ? `${prefix}.${key}` : key, out);
+    }
+  } else {
+    out[prefix] = value;
+  }
+  return out;
+}
+
+/**
+ * Parameter-level differences between two versions, as dotted paths
+ * (e.g. "exposure.information.mid")
+ *
+ * @returns {Array<{path, change: 'added'|'removed'|'changed', from, to}>}
+ */
+function diffVersions(a, b) {
+  const before = flatten(a.params, '', {});
+  const after = flatten(b.params, '', {});
+  const paths = [...new Set([...Object.keys(before), ...Object.keys(after)])].sort();
+
+  const changes = [];
+  for (const path of paths) {
+    if (!(path in after)) {
+      changes.push({ path, change: 'removed', from: before[path], to: null });
+    } else if (!(path in before)) {
+      changes.push({ path, change: 'added', from: null, to: after[path] });
+    } else if (before[path] !== after[path]) {
+      changes.push({ path, change: 'changed', from: before[path], to: after[path] });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Version without its parameters, for listings
+ */
+function summarizeVersion(version) {
+  const { params, ...summary } = version;
+  return summary;
+}
+
+module.exports = {
+  BASE_VERSION,
+  currentParameters,
+  hashParameters,
+  listVersions,
+  getVersion,
+  getCurrentVersion,
+  ensureCurrentVersion,
+  diffVersions,
+  summarizeVersion
+};
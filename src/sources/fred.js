@@ -0,0 +1,289 @@
+/**
+ * FRED Client
+ *
+ * Fetches series observations from the FRED API with:
+ *   - a timeout on every request
+ *   - retries with exponential backoff (network errors, timeouts, 429, 5xx),
+ *     honouring Retry-After
+ *   - a cap on concurrent requests and on requests per minute
+ *   - an on-disk cache per series and observation window: requests are
+ *     conditional (If-None-Match / If-Modified-Since), and when FRED cannot
+ *     be reached the last good response is served, marked stale
+ *
+ * Fixture mode (fixtureDir) swaps the network for saved responses:
+ *   replay - read <dir>/<series>_<start>.json, never touch the network
+ *   record - fetch live and save each response there for later replays
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../logger');
+
+const FRED_API_URL = 'https://api.stlouisfed.org/fred/series/observations';
+const FIXTURE_MODES = ['replay', 'record'];
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+class HttpError extends Error {
+  constructor(status, retryAfter = null) {
+    super(`HTTP ${status}`);
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+}
+
+// 429 and server errors are worth another try; other 4xx will not change
+function isRetryable(err) {
+  if (err instanceof HttpError) return err.status === 429 || err.status >= 500;
+  return true;
+}
+
+// Retry-After is either seconds or an HTTP date
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return seconds * 1000;
+  const time = Date.parse(value);
+  return Number.isFinite(time) ? Math.max(0, time - Date.now()) : null;
+}
+
+/**
+ * FRED response body → the series summary the model uses.
+ * Values are in thousands; missing observations are reported as '.'.
+ */
+function parseObservations(body) {
+  const observations = (body.observations || [])
+    .filter(o => o.value !== '.')
+    .map(o => ({ date: o.date, value: parseFloat(o.value) * 1000 }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+  if (!observations.length) throw new Error('No data');
+
+  const latest = observations[observations.length - 1];
+  const recent = observations.slice(-12).map(o => o.value);
+
+  return {
+    latest: latest.value,
+    average: recent.reduce((a, b) => a + b, 0) / recent.length,
+    date: latest.date,
+    history: observations
+  };
+}
+
+class FredClient {
+  /**
+   * @param {Object} options
+   * @param {string} options.apiKey
+   * @param {number} [options.timeoutMs]
+   * @param {number} [options.retries] - Attempts after the first
+   * @param {number} [options.backoffMs] - First retry delay, doubled each attempt
+   * @param {number} [options.concurrency]
+   * @param {number} [options.requestsPerMinute]
+   * @param {string|null} [options.cacheDir] - null disables the disk cache
+   * @param {string|null} [options.fixtureDir]
+   * @param {string} [options.fixtureMode] - 'replay' or 'record'
+   */
+  constructor({
+    apiKey,
+    timeoutMs = 15000,
+    retries = 3,
+    backoffMs = 1000,
+    concurrency = 4,
+    requestsPerMinute = 120,
+    cacheDir = null,
+    fixtureDir = null,
+    fixtureMode = 'replay'
+  }) {
+    if (fixtureDir && !FIXTURE_MODES.includes(fixtureMode)) {
+      throw new Error(`Unknown FRED fixture mode "${fixtureMode}". Expected one of: ${FIXTURE_MODES.join(', ')}`);
+    }
+
+    this.apiKey = apiKey;
+    this.timeoutMs = timeoutMs;
+    this.retries = retries;
+    this.backoffMs = backoffMs;
+    this.concurrency = concurrency;
+    this.minIntervalMs = requestsPerMinute > 0 ? 60000 / requestsPerMinute : 0;
+    this.cacheDir = cacheDir ? path.resolve(cacheDir) : null;
+    this.fixtureDir = fixtureDir ? path.resolve(fixtureDir) : null;
+    this.fixtureMode = fixtureMode;
+
+    this.active = 0;
+    this.waiting = [];
+    this.nextStart = 0;
+    this.stats = { requests: 0, retries: 0, notModified: 0, cacheFallbacks: 0, failures: 0 };
+  }
+
+  // Saved response body for a replay; a missing file names the series and window
+  async readFixture(seriesId, observationStart, file) {
+    let raw;
+    try {
+      raw = await fs.promises.readFile(path.join(this.fixtureDir, file), 'utf8');
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      this.stats.failures++;
+      throw new Error(`No FRED fixture for ${seriesId}/${observationStart || 'all'} (expected ${file} in ${this.fixtureDir})`);
+    }
+    return JSON.parse(raw);
+  }
+
+  /**
+   * Fetch one series from observationStart onwards
+   *
+   * @param {string} seriesId
+   * @param {Object} [options]
+   * @param {string} [options.observationStart] - YYYY-MM-DD
+   * @returns {Promise<{latest, average, date, history, source, fetchedAt, stale?, error?}>}
+   *   source is 'live', 'not-modified', 'cache' (FRED unreachable, last good
+   *   response) or 'fixture'. Throws when nothing usable is available.
+   */
+  async fetchSeries(seriesId, { observationStart } = {}) {
+    const file = `${seriesId}_${observationStart || 'all'}.json`;
+
+    if (this.fixtureDir && this.fixtureMode === 'replay') {
+      return { ...parseObservations(await this.readFixture(seriesId, observationStart, file)), source: 'fixture', fetchedAt: null };
+    }
+
+    const cached = await this.readCache(file);
+    try {
+      const { status, body, etag, lastModified } = await this.withSlot(() =>
+        this.request(seriesId, observationStart, cached)
+      );
+      const fetchedAt = new Date().toISOString();
+
+      if (status === 304) {
+        this.stats.notModified++;
+        await this.writeCache(file, { ...cached, fetchedAt });
+        return { ...parseObservations(cached.body), source: 'not-modified', fetchedAt };
+      }
+
+      // Parse before caching so an empty or malformed response never replaces good data
+      const parsed = parseObservations(body);
+      await this.writeCache(file, { seriesId, observationStart, etag, lastModified, fetchedAt, body });
+      if (this.fixtureDir) {
+        await fs.promises.mkdir(this.fixtureDir, { recursive: true });
+        await fs.promises.writeFile(path.join(this.fixtureDir, file), JSON.stringify(body));
+      }
+      return { ...parsed, source: 'live', fetchedAt };
+    } catch (err) {
+      if (!cached) {
+        this.stats.failures++;
+        throw err;
+      }
+      this.stats.cacheFallbacks++;
+      logger.warn('FRED fetch failed, serving cached response', { seriesId, error: err.message, cachedAt: cached.fetchedAt });
+      return { ...parseObservations(cached.body), source: 'cache', fetchedAt: cached.fetchedAt, stale: true, error: err.message };
+    }
+  }
+
+  /**
+   * One logical request: attempts with backoff until success, a
+   * non-retryable error or the retry budget runs out
+   */
+  async request(seriesId, observationStart, cached) {
+    const params = new URLSearchParams({
+      series_id: seriesId,
+      api_key: this.apiKey,
+      file_type: 'json',
+      sort_order: 'desc'
+    });
+    if (observationStart) params.set('observation_start', observationStart);
+
+    const headers = {};
+    if (cached?.etag) headers['If-None-Match'] = cached.etag;
+    if (cached?.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        await this.throttle();
+        this.stats.requests++;
+        const response = await fetch(`${FRED_API_URL}?${params}`, {
+          headers,
+          signal: AbortSignal.timeout(this.timeoutMs)
+        });
+
+        if (response.status === 304 && cached) return { status: 304 };
+        if (!response.ok) {
+          throw new HttpError(response.status, parseRetryAfter(response.headers.get('retry-after')));
+        }
+
+        return {
+          status: response.status,
+          body: await response.json(),
+          etag: response.headers.get('etag') || null,
+          lastModified: response.headers.get('last-modified') || null
+        };
+      } catch (err) {
+        if (attempt >= this.retries || !isRetryable(err)) throw err;
+
+        // Full jitter keeps parallel retries from landing together
+        const delay = err.retryAfter ?? this.backoffMs * 2 ** attempt * (0.5 + Math.random() / 2);
+        this.stats.retries++;
+        logger.debug('FRED request failed, retrying', { seriesId, attempt: attempt + 1, delayMs: Math.round(delay), error: err.message });
+        await sleep(delay);
+      }
+    }
+  }
+
+  // Run fn once fewer than `concurrency` requests are in flight. A finished
+  // request hands its slot straight to the next waiter (active stays the
+  // same), so a newcomer cannot take it before the waiter resumes.
+  async withSlot(fn) {
+    if (this.active < this.concurrency) {
+      this.active++;
+    } else {
+      await new Promise(resolve => this.waiting.push(resolve));
+    }
+    try {
+      return await fn();
+    } finally {
+      const next = this.waiting.shift();
+      if (next) next();
+      else this.active--;
+    }
+  }
+
+  // Space request starts at least minIntervalMs apart
+  async throttle() {
+    const now = Date.now();
+    const start = Math.max(now, this.nextStart);
+    this.nextStart = start + this.minIntervalMs;
+    if (start > now) await sleep(start - now);
+  }
+
+  async readCache(file) {
+    if (!this.cacheDir) return null;
+    try {
+      return JSON.parse(await fs.promises.readFile(path.join(this.cacheDir, file), 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') logger.warn('Unreadable FRED cache entry', { file, error: err.message });
+      return null;
+    }
+  }
+
+  async writeCache(file, entry) {
+    if (!this.cacheDir) return;
+    try {
+      await fs.promises.mkdir(this.cacheDir, { recursive: true });
+      // Write then rename, so a crash never leaves a torn cache file
+      const target = path.join(this.cacheDir, file);
+      await fs.promises.writeFile(`${target}.tmp`, JSON.stringify(entry));
+      await fs.promises.rename(`${target}.tmp`, target);
+    } catch (err) {
+      logger.error('FRED cache write failed', { file, error: err.message });
+    }
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      mode: this.fixtureDir ? `fixture-${this.fixtureMode}` : 'live',
+      cacheDir: this.cacheDir
+    };
+  }
+}
+
+module.exports = {
+  FRED_API_URL,
+  FredClient,
+  parseObservations
+};
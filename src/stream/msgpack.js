@@ -0,0 +1,159 @@
+/**
+ * MessagePack Framing
+ *
+ * Minimal MessagePack encoder/decoder for the binary WebSocket encoding.
+ * Covers what the counter state uses: nil, booleans, integers, float64,
+ * strings, arrays and string-keyed maps. Like JSON.stringify, undefined
+ * map values are dropped and non-finite numbers become nil.
+ */
+
+function encodeString(value, out) {
+  const bytes = Buffer.from(value, 'utf8');
+  const n = bytes.length;
+  if (n < 32) out.push(Buffer.from([0xa0 | n]));
+  else if (n < 0x100) out.push(Buffer.from([0xd9, n]));
+  else if (n < 0x10000) out.push(Buffer.from([0xda, n >> 8, n & 0xff]));
+  else {
+    const header = Buffer.alloc(5);
+    header[0] = 0xdb;
+    header.writeUInt32BE(n, 1);
+    out.push(header);
+  }
+  out.push(bytes);
+}
+
+function encodeNumber(value, out) {
+  if (!Number.isFinite(value)) {
+    out.push(Buffer.from([0xc0]));
+    return;
+  }
+  if (Number.isInteger(value) && value >= -0x80000000 && value <= 0xffffffff) {
+    if (value >= 0 && value < 128) return out.push(Buffer.from([value]));
+    if (value < 0 && value >= -32) return out.push(Buffer.from([value & 0xff]));
+
+    let buf;
+    if (value >= 0) {
+      if (value < 0x100) buf = Buffer.from([0xcc, value]);
+      else if (value < 0x10000) { buf = Buffer.alloc(3); buf[0] = 0xcd; buf.writeUInt16BE(value, 1); }
+      else { buf = Buffer.alloc(5); buf[0] = 0xce; buf.writeUInt32BE(value, 1); }
+    } else if (value >= -0x80) {
+      buf = Buffer.alloc(2); buf[0] = 0xd0; buf.writeInt8(value, 1);
+    } else if (value >= -0x8000) {
+      buf = Buffer.alloc(3); buf[0] = 0xd1; buf.writeInt16BE(value, 1);
+    } else {
+      buf = Buffer.alloc(5); buf[0] = 0xd2; buf.writeInt32BE(value, 1);
+    }
+    return out.push(buf);
+  }
+
+  const buf = Buffer.alloc(9);
+  buf[0] = 0xcb;
+  buf.writeDoubleBE(value, 1);
+  out.push(buf);
+}
+
+// Array/map header: fix form below `fixLimit`, then 16- and 32-bit lengths
+function encodeLength(n, fix, fixLimit, code16, code32, out) {
+  if (n < fixLimit) return out.push(Buffer.from([fix | n]));
+  if (n < 0x10000) return out.push(Buffer.from([code16, n >> 8, n & 0xff]));
+  const header = Buffer.alloc(5);
+  header[0] = code32;
+  header.writeUInt32BE(n, 1);
+  out.push(header);
+}
+
+function encodeValue(value, out) {
+  if (value === null || value === undefined) return out.push(Buffer.from([0xc0]));
+  if (value === false) return out.push(Buffer.from([0xc2]));
+  if (value === true) return out.push(Buffer.from([0xc3]));
+  if (typeof value === 'number') return encodeNumber(value, out);
+  if (typeof value === 'string') return encodeString(value, out);
+  if (value instanceof Date) return encodeString(value.toISOString(), out);
+
+  if (Array.isArray(value)) {
+    encodeLength(value.length, 0x90, 16, 0xdc, 0xdd, out);
+    for (const item of value) encodeValue(item, out);
+    return;
+  }
+
+  if (typeof value === 'object') {
+    const entries = Object.entries(value).filter(([, v]) => v !== undefined && typeof v !== 'function');
+    encodeLength(entries.length, 0x80, 16, 0xde, 0xdf, out);
+    for (const [key, item] of entries) {
+      encodeString(key, out);
+      encodeValue(item, out);
+    }
+    return;
+  }
+
+  throw new TypeError(`Cannot encode ${typeof value} as MessagePack`);
+}
+
+function encode(value) {
+  const out = [];
+  encodeValue(value, out);
+  return Buffer.concat(out);
+}
+
+function decode(input) {
+  const buf = Buffer.isBuffer(input) ? input : Buffer.from(input);
+  let pos = 0;
+
+  const str = n => {
+    const value = buf.toString('utf8', pos, pos + n);
+    pos += n;
+    return value;
+  };
+  const array = n => Array.from({ length: n }, () => read());
+  // defineProperty, so a "__proto__" key is an ordinary key rather than a prototype
+  const map = n => {
+    const result = {};
+    for (let i = 0; i < n; i++) {
+      const key = read();
+      Object.defineProperty(result, key, { value: read(), enumerable: true, writable: true, configurable: true });
+    }
+    return result;
+  };
+
+  function read() {
+    if (pos >= buf.length) throw new Error('Truncated MessagePack data');
+    const byte = buf[pos++];
+
+    if (byte < 0x80) return byte;
+    if (byte >= 0xe0) return byte - 0x100;
+    if ((byte & 0xe0) === 0xa0) return str(byte & 0x1f);
+    if ((byte & 0xf0) === 0x90) return array(byte & 0x0f);
+    if ((byte & 0xf0) === 0x80) return map(byte & 0x0f);
+
+    let value;
+    switch (byte) {
+      case 0xc0: return null;
+      case 0xc2: return false;
+      case 0xc3: return true;
+      case 0xcc: value = buf.readUInt8(pos); pos += 1; return value;
+      case 0xcd: value = buf.readUInt16BE(pos); pos += 2; return value;
+      case 0xce: value = buf.readUInt32BE(pos); pos += 4; return value;
+      case 0xd0: value = buf.readInt8(pos); pos += 1; return value;
+      case 0xd1: value = buf.readInt16BE(pos); pos += 2; return value;
+      case 0xd2: value = buf.readInt32BE(pos); pos += 4; return value;
+      case 0xca: value = buf.readFloatBE(pos); pos += 4; return value;
+      case 0xcb: value = buf.readDoubleBE(pos); pos += 8; return value;
+      case 0xd9: value = buf.readUInt8(pos); pos += 1; return str(value);
+      case 0xda: value = buf.readUInt16BE(pos); pos += 2; return str(value);
+      case 0xdb: value = buf.readUInt32BE(pos); pos += 4; return str(value);
+      case 0xdc: value = buf.readUInt16BE(pos); pos += 2; return array(value);
+      case 0xdd: value = buf.readUInt32BE(pos); pos += 4; return array(value);
+      case 0xde: value = buf.readUInt16BE(pos); pos += 2; return map(value);
+      case 0xdf: value = buf.readUInt32BE(pos); pos += 4; return map(value);
+      default:
+        throw new Error(`Unsupported MessagePack type 0x${byte.toString(16)}`);
+    }
+  }
+
+  return read();
+}
+
+module.exports = {
+  encode,
+  decode
+};
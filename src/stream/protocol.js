@@ -0,0 +1,387 @@
+/**
+ * WebSocket Protocol
+ *
+ * v1 (legacy, the default): { type: 'init' | 'tick', data: <full state> }
+ *   every 100ms, as JSON text.
+ *
+ * v2 (connect with ?v=2):
+ *   server → client
+ *     { type: 'snapshot', v: 2, channel, seq, data }  full state of a streamed channel -
+ *                                                      on connect, after subscribe and
+ *                                                      after model changes
+ *     { type: 'delta', v: 2, channel, seq, data }     what changed since the last message
+ *                                                      on the channel, as
+ *                                                      { set?, unset?, nested? } (see diffState)
+ *     { type: 'subscribed', v: 2, channels, rate, encoding }
+ *     { type: <event>, v: 2, channel, data }          'event' on events; 'model-update'
+ *                                                      and 'revision' on model-updates
+ *     { type: 'error', v: 2, error }
+ *   client → server (always JSON text)
+ *     { type: 'subscribe', channels?, rate?, encoding? }
+ *         channels are added to the current set; rate in ms (100-60000,
+ *         rounded to the 100ms tick); encoding 'json' or 'msgpack' (binary frames)
+ *     { type: 'unsubscribe', channels }
+ *
+ * Channels:
+ *   counter          headline counter (streamed)
+ *   sector:<name>    one sector's share of the counter (streamed)
+ *   company:<slug>   one company's attributed displacement (streamed)
+ *   events           each WARN notice / layoff announcement as it is stored
+ *   model-updates    admin model changes and JOLTS revisions
+ * New connections start on counter + model-updates.
+ *
+ * Deltas are taken against the last state actually sent to that client, so
+ * a slow client (full socket buffer) just skips ticks and gets one larger
+ * delta once it drains.
+ *
+ * v1 clients only ever receive init and tick; events, model updates and
+ * errors need v2.
+ */
+
+const msgpack = require('./msgpack');
+
+const PROTOCOL_VERSION = 2;
+const TICK_MS = 100;
+const MIN_RATE_MS = 100;
+const MAX_RATE_MS = 60000;
+const ENCODINGS = ['json', 'msgpack'];
+
+const EVENT_CHANNELS = ['events', 'model-updates'];
+const STREAM_PREFIXES = ['sector:', 'company:'];
+const DEFAULT_CHANNELS = ['counter', 'model-updates'];
+const MAX_CHANNELS = 50;
+
+// Skip updates while this much is still queued for the client
+const MAX_BUFFERED_BYTES = 256 * 1024;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isEqual(a, b) {
+  if (a === b) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  const keys = Object.keys(a);
+  if (keys.length !== Object.keys(b).length) return false;
+  return keys.every(key => isEqual(a[key], b[key]));
+}
+
+/**
+ * What changed from `prev` to `next`:
+ *   set    - keys with a new value (null is an ordinary value)
+ *   unset  - keys that were removed
+ *   nested - plain objects present in both, diffed the same way
+ * Empty parts are left out. Arrays are replaced whole.
+ *
+ * @returns {{set?: Object, unset?: string[], nested?: Object}|null} null when nothing changed
+ */
+function diffState(prev, next) {
+  const set = {};
+  const unset = [];
+  const nested = {};
+
+  for (const [key, value] of Object.entries(next)) {
+    if (value === undefined || isEqual(prev[key], value)) continue;
+    if (isPlainObject(value) && isPlainObject(prev[key])) nested[key] = diffState(prev[key], value);
+    else set[key] = value;
+  }
+  for (const key of Object.keys(prev)) {
+    if (next[key] === undefined && prev[key] !== undefined) unset.push(key);
+  }
+
+  const delta = {};
+  if (Object.keys(set).length) delta.set = set;
+  if (unset.length) delta.unset = unset;
+  if (Object.keys(nested).length) delta.nested = nested;
+  return Object.keys(delta).length ? delta : null;
+}
+
+/**
+ * Inverse of diffState (what a v2 client does with a delta)
+ */
+function applyDelta(state, delta) {
+  const result = { ...state };
+  for (const key of delta.unset || []) delete result[key];
+  for (const [key, value] of Object.entries(delta.set || {})) result[key] = value;
+  for (const [key, value] of Object.entries(delta.nested || {})) {
+    result[key] = applyDelta(isPlainObject(result[key]) ? result[key] : {}, value);
+  }
+  return result;
+}
+
+/**
+ * Validate subscribe options (from the connect URL or a subscribe message)
+ *
+ * @returns {{options?: {rate?, encoding?}, error?: string}}
+ */
+function parseSubscribe(input) {
+  const options = {};
+
+  if (input.rate !== undefined && input.rate !== null) {
+    const rate = Number(input.rate);
+    if (!Number.isFinite(rate) || rate < MIN_RATE_MS || rate > MAX_RATE_MS) {
+      return { error: `rate must be between ${MIN_RATE_MS} and ${MAX_RATE_MS} ms` };
+    }
+    options.rate = Math.round(rate / TICK_MS) * TICK_MS;
+  }
+
+  if (input.encoding !== undefined && input.encoding !== null) {
+    if (!ENCODINGS.includes(input.encoding)) {
+      return { error: `encoding must be one of: ${ENCODINGS.join(', ')}` };
+    }
+    options.encoding = input.encoding;
+  }
+
+  return { options };
+}
+
+function isStreamChannel(channel) {
+  return channel === 'counter' || STREAM_PREFIXES.some(prefix => channel.startsWith(prefix));
+}
+
+/**
+ * Validate a list of channel names
+ *
+ * @param {*} value
+ * @param {Function} isKnown - (channel) => boolean for sector:/company: channels
+ * @returns {{channels?: string[], error?: string}}
+ */
+function parseChannels(value, isKnown) {
+  if (!Array.isArray(value) || !value.every(c => typeof c === 'string')) {
+    return { error: 'channels must be an array of channel names' };
+  }
+
+  for (const channel of value) {
+    if (channel === 'counter' || EVENT_CHANNELS.includes(channel)) continue;
+    if (!STREAM_PREFIXES.some(prefix => channel.startsWith(prefix))) {
+      return { error: `Unknown channel "${channel}". Expected counter, events, model-updates, sector:<name> or company:<slug>` };
+    }
+    if (!isKnown(channel)) {
+      return { error: `Unknown ${channel.slice(0, channel.indexOf(':'))} in channel "${channel}"` };
+    }
+  }
+
+  return { channels: [...new Set(value)] };
+}
+
+/**
+ * The sector or company a sector:/company: channel streams. Sectors are
+ * looked up as own properties only, so "sector:constructor" is unknown.
+ *
+ * @param {string} channel
+ * @param {Object} sources
+ * @param {Object|null} sources.sectors - name → sector breakdown
+ * @param {Map} sources.companies - slug → company share
+ * @returns {Object|null}
+ */
+function channelEntry(channel, { sectors, companies }) {
+  const name = channel.slice(channel.indexOf(':') + 1);
+  if (channel.startsWith('sector:')) return sectors && Object.hasOwn(sectors, name) ? sectors[name] : null;
+  if (channel.startsWith('company:')) return companies.get(name) ?? null;
+  return null;
+}
+
+/**
+ * Protocol version and subscribe options from the connect URL
+ * (/?v=2&rate=1000&encoding=msgpack)
+ */
+function parseConnectUrl(url) {
+  const params = new URL(url || '/', 'http://localhost').searchParams;
+  const version = params.get('v') === String(PROTOCOL_VERSION) ? PROTOCOL_VERSION : 1;
+  const { options = {}, error } = parseSubscribe({
+    rate: params.get('rate') ?? undefined,
+    encoding: params.get('encoding') ?? undefined
+  });
+  return { version, options, error };
+}
+
+/**
+ * One connected WebSocket client and its subscriptions
+ */
+class ClientSession {
+  constructor(ws, { version = 1, options = {} } = {}) {
+    this.ws = ws;
+    this.version = version;
+    this.rate = options.rate || TICK_MS;
+    this.encoding = options.encoding || 'json';
+    this.seq = 0;
+    this.lastSentAt = 0;
+
+    // channel → last state sent (streamed channels) or null (event channels)
+    this.channels = new Map(DEFAULT_CHANNELS.map(channel => [channel, null]));
+  }
+
+  get open() {
+    return this.ws.readyState === 1;
+  }
+
+  get v2() {
+    return this.version === PROTOCOL_VERSION;
+  }
+
+  subscribed(channel) {
+    return this.channels.has(channel);
+  }
+
+  streamChannels() {
+    return [...this.channels.keys()].filter(isStreamChannel);
+  }
+
+  send(message) {
+    if (!this.open) return;
+    if (this.v2) {
+      message = { ...message, v: PROTOCOL_VERSION };
+      if (this.encoding === 'msgpack') {
+        this.ws.send(msgpack.encode(message), { binary: true });
+        return;
+      }
+    }
+    this.ws.send(JSON.stringify(message));
+  }
+
+  /**
+   * Full state of one streamed channel: 'init' for v1 (counter only),
+   * 'snapshot' for v2
+   */
+  sendSnapshot(channel, state, now = Date.now()) {
+    if (!this.channels.has(channel)) return;
+    if (this.v2) {
+      this.send({ type: 'snapshot', channel, seq: ++this.seq, data: state });
+    } else if (channel === 'counter') {
+      this.send({ type: 'init', data: state });
+    }
+    this.channels.set(channel, state);
+    this.lastSentAt = now;
+  }
+
+  /**
+   * Snapshots of every streamed channel
+   *
+   * @param {Function} resolve - (channel) => current state
+   */
+  sendSnapshots(resolve, now = Date.now()) {
+    for (const channel of this.streamChannels()) {
+      this.sendSnapshot(channel, resolve(channel), now);
+    }
+  }
+
+  /**
+   * Per-tick update, if the client's rate is due and its buffer has room
+   *
+   * @param {Function} resolve - (channel) => current state, memoized per tick
+   * @param {number} now
+   * @param {Object} frames - Per-tick cache shared across sessions
+   */
+  update(resolve, now, frames) {
+    if (!this.open || now - this.lastSentAt < this.rate - TICK_MS / 2) return;
+    if (this.ws.bufferedAmount > MAX_BUFFERED_BYTES) return;
+
+    if (!this.v2) {
+      // Every v1 client gets the same bytes; serialize once per tick
+      frames.v1 = frames.v1 || JSON.stringify({ type: 'tick', data: resolve('counter') });
+      this.ws.send(frames.v1);
+    } else {
+      for (const channel of this.streamChannels()) {
+        const state = resolve(channel);
+        const last = this.channels.get(channel);
+        if (state === null && last === null) continue;
+
+        if (state && last) {
+          const delta = diffState(last, state);
+          if (delta) this.send({ type: 'delta', channel, seq: ++this.seq, data: delta });
+        } else {
+          // First state of the channel, or the company or sector went away (e.g. retired)
+          this.send({ type: 'snapshot', channel, seq: ++this.seq, data: state });
+        }
+        this.channels.set(channel, state);
+      }
+    }
+    this.lastSentAt = now;
+  }
+
+  /**
+   * Push an event to an event channel, if subscribed (v2 only)
+   */
+  sendEvent(channel, type, data) {
+    if (!this.v2 || !this.channels.has(channel)) return;
+    this.send({ type, channel, data });
+  }
+
+  /**
+   * Handle a client message. Subscribing upgrades a v1 connection to v2.
+   *
+   * @param {Buffer|string} raw
+   * @param {Function} isKnown - (channel) => boolean for sector:/company: channels
+   * @returns {string[]} Streamed channels that need a snapshot
+   */
+  handleMessage(raw, isKnown) {
+    let message;
+    try {
+      message = JSON.parse(raw.toString());
+    } catch (err) {
+      this.sendError('Messages must be JSON');
+      return [];
+    }
+
+    if (message?.type === 'unsubscribe') {
+      const { channels, error } = parseChannels(message.channels, () => true);
+      if (error) {
+        this.sendError(error);
+        return [];
+      }
+      this.version = PROTOCOL_VERSION;
+      for (const channel of channels) this.channels.delete(channel);
+      this.sendSubscribed();
+      return [];
+    }
+
+    if (message?.type !== 'subscribe') {
+      this.sendError(`Unknown message type "${message?.type}"`);
+      return [];
+    }
+
+    const { options, error } = parseSubscribe(message);
+    const parsed = message.channels !== undefined ? parseChannels(message.channels, isKnown) : { channels: [] };
+    if (error || parsed.error) {
+      this.sendError(error || parsed.error);
+      return [];
+    }
+    const added = parsed.channels.filter(channel => !this.channels.has(channel));
+    if (this.channels.size + added.length > MAX_CHANNELS) {
+      this.sendError(`At most ${MAX_CHANNELS} channels per connection`);
+      return [];
+    }
+
+    this.version = PROTOCOL_VERSION;
+    if (options.rate) this.rate = options.rate;
+    if (options.encoding) this.encoding = options.encoding;
+    for (const channel of added) this.channels.set(channel, null);
+    this.sendSubscribed();
+
+    // A new rate or encoding restarts every stream; otherwise only the new channels
+    return options.rate || options.encoding ? this.streamChannels() : added.filter(isStreamChannel);
+  }
+
+  sendSubscribed() {
+    this.send({ type: 'subscribed', channels: [...this.channels.keys()], rate: this.rate, encoding: this.encoding });
+  }
+
+  // v1 clients only understand init and tick, so their bad messages are dropped
+  sendError(error) {
+    if (this.v2) this.send({ type: 'error', error });
+  }
+}
+
+module.exports = {
+  PROTOCOL_VERSION,
+  TICK_MS,
+  DEFAULT_CHANNELS,
+  diffState,
+  applyDelta,
+  parseSubscribe,
+  parseChannels,
+  channelEntry,
+  parseConnectUrl,
+  ClientSession
+};
@@ -0,0 +1,174 @@
+/**
+ * Server-Sent Events Transport
+ *
+ * GET /api/stream carries the v1 WebSocket payloads for clients behind
+ * proxies that strip WebSocket upgrades:
+ *
+ *   event: init          full counter state, on connect
+ *   event: tick          full counter state, every `rate` ms (?rate=, default 100)
+ *   event: model-update  model-updates events (each followed by a fresh init)
+ *   event: revision
+ *
+ * Model events carry an id (<boot>-<seq>), and so does each init (the
+ * latest event id at that moment). A reconnecting browser sends it back as
+ * Last-Event-ID and gets the events it missed replayed before its init, as
+ * long as they are still in the replay buffer and the server has not
+ * restarted since. Ticks carry no id; the next init brings the counter
+ * up to date anyway.
+ *
+ * A comment line goes out every heartbeat interval so idle proxies keep
+ * the connection open.
+ */
+
+const { TICK_MS, DEFAULT_CHANNELS } = require('./protocol');
+
+// Browsers wait this long before reconnecting a dropped stream
+const RETRY_MS = 2000;
+
+// Skip updates while this much is still queued for the client
+const MAX_BUFFERED_BYTES = 256 * 1024;
+
+function formatEvent(event, data, id = null) {
+  return `${id ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * Model events with ids, kept for Last-Event-ID replays
+ */
+class EventLog {
+  constructor(limit = 100) {
+    this.limit = limit;
+    this.boot = Date.now().toString(36);
+    this.seq = 0;
+    this.entries = [];
+  }
+
+  get lastId() {
+    return `${this.boot}-${this.seq}`;
+  }
+
+  append(type, data) {
+    const seq = ++this.seq;
+    const entry = { seq, id: `${this.boot}-${seq}`, type, data };
+    this.entries.push(entry);
+    if (this.entries.length > this.limit) this.entries.shift();
+    return entry;
+  }
+
+  /**
+   * Entries after lastEventId, or [] when it is from another boot, unknown
+   * or its successors have already been evicted
+   */
+  since(lastEventId) {
+    const [boot, seq] = String(lastEventId || '').split('-');
+    const after = Number(seq);
+    if (boot !== this.boot || !Number.isInteger(after) || after >= this.seq) return [];
+    if (after < this.entries[0].seq - 1) return [];
+    return this.entries.filter(entry => entry.seq > after);
+  }
+}
+
+/**
+ * One connected SSE client. Has the same update/snapshot/event methods as
+ * ClientSession, so both live in the server's `clients` set.
+ */
+class SseSession {
+  /**
+   * @param {http.ServerResponse} res
+   * @param {Object} options
+   * @param {EventLog} options.log
+   * @param {number} [options.rate]
+   * @param {number} [options.heartbeatMs]
+   */
+  constructor(res, { log, rate = TICK_MS, heartbeatMs = 15000 }) {
+    this.res = res;
+    this.log = log;
+    this.rate = rate;
+    this.lastSentAt = 0;
+    this.channels = new Map(DEFAULT_CHANNELS.map(channel => [channel, null]));
+    this.closed = false;
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      // Stop nginx from buffering the stream
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    this.heartbeat = setInterval(() => this.write(': heartbeat\n\n'), heartbeatMs);
+    res.on('close', () => this.close());
+  }
+
+  get open() {
+    return !this.closed && !this.res.writableEnded;
+  }
+
+  write(chunk) {
+    if (this.open) this.res.write(chunk);
+  }
+
+  close() {
+    this.closed = true;
+    clearInterval(this.heartbeat);
+  }
+
+  // End the response (shutdown); the browser reconnects after RETRY_MS
+  end() {
+    this.close();
+    if (!this.res.writableEnded) this.res.end();
+  }
+
+  subscribed(channel) {
+    return this.channels.has(channel);
+  }
+
+  /**
+   * Replay what a reconnecting client missed
+   */
+  resume(lastEventId) {
+    const missed = this.log.since(lastEventId);
+    for (const entry of missed) this.write(formatEvent(entry.type, entry.data, entry.id));
+    return missed.length;
+  }
+
+  sendSnapshot(channel, state, now = Date.now()) {
+    if (channel !== 'counter') return;
+    this.write(formatEvent('init', state, this.log.lastId));
+    this.lastSentAt = now;
+  }
+
+  sendSnapshots(resolve, now = Date.now()) {
+    this.sendSnapshot('counter', resolve('counter'), now);
+  }
+
+  /**
+   * Per-tick update, if the client's rate is due and its buffer has room
+   *
+   * @param {Function} resolve - (channel) => current state, memoized per tick
+   * @param {number} now
+   * @param {Object} frames - Per-tick cache shared across sessions
+   */
+  update(resolve, now, frames) {
+    if (!this.open || now - this.lastSentAt < this.rate - TICK_MS / 2) return;
+    if (this.res.writableLength > MAX_BUFFERED_BYTES) return;
+
+    frames.sse = frames.sse || formatEvent('tick', resolve('counter'));
+    this.write(frames.sse);
+    this.lastSentAt = now;
+  }
+
+  /**
+   * Push a model event; `id` comes from the shared EventLog
+   */
+  sendEvent(channel, type, data, id = null) {
+    if (!this.channels.has(channel)) return;
+    this.write(formatEvent(type, data, id));
+  }
+}
+
+module.exports = {
+  EventLog,
+  SseSession
+};
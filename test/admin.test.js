@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+
+const config = require('../src/config');
+const createAdminRouter = require('../src/admin/router');
+const { AI_EXPOSURE_MODEL } = require('../src/model/exposure');
+const { US_AI_COMPANIES, slugify } = require('../src/model/companies');
+
+const API_KEY = 'test-key';
+
+async function startAdmin(t, onChange = () => {}) {
+  config.security.apiKey = API_KEY;
+  const app = express();
+  app.use(express.json());
+  app.use('/api/admin', createAdminRouter({ onChange }));
+  app.use((err, req, res, next) => res.status(500).json({ error: err.message }));
+
+  const server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  t.after(() => server.close());
+
+  return (method, path, body) => fetch(`http://127.0.0.1:${server.address().port}/api/admin${path}`, {
+    method,
+    headers: {
+      Authorization: `Bearer ${API_KEY}`,
+      'X-Admin-User': 'tests',
+      'Content-Type': 'application/json'
+    },
+    body: body && JSON.stringify(body)
+  });
+}
+
+const RATES = { low: 0.1, mid: 0.15, high: 0.2, rationale: 'test' };
+
+test('exposure edits only accept JOLTS sectors and "other"', async (t) => {
+  const request = await startAdmin(t);
+
+  for (const sector of ['foo', 'constructor', 'hasOwnProperty', '__proto__']) {
+    const res = await request('PUT', `/exposure/${sector}`, RATES);
+    assert.strictEqual(res.status, 404, sector);
+    assert.strictEqual((await request('DELETE', `/exposure/${sector}`)).status, 404, sector);
+  }
+  assert.strictEqual(Object.hasOwn(AI_EXPOSURE_MODEL, 'foo'), false);
+
+  const before = { ...AI_EXPOSURE_MODEL.information };
+  t.after(() => { AI_EXPOSURE_MODEL.information = before; });
+
+  const res = await request('PUT', '/exposure/information', RATES);
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual((await res.json()).rates, RATES);
+});
+
+test('a failing change handler becomes a 500 instead of a hanging request', async (t) => {
+  const request = await startAdmin(t, async () => {
+    throw new Error('recalculation failed');
+  });
+
+  const before = { ...AI_EXPOSURE_MODEL.retail };
+  t.after(() => { AI_EXPOSURE_MODEL.retail = before; });
+
+  const res = await request('PUT', '/exposure/retail', RATES);
+  assert.strictEqual(res.status, 500);
+  assert.strictEqual((await res.json()).error, 'recalculation failed');
+});
+
+test('restoring a retired company clears its retirement date', async (t) => {
+  const request = await startAdmin(t);
+  const company = US_AI_COMPANIES[0];
+  const before = { ...company };
+  t.after(() => {
+    for (const key of Object.keys(company)) delete company[key];
+    Object.assign(company, before);
+  });
+  const slug = slugify(company.name);
+
+  const retired = (await (await request('DELETE', `/companies/${slug}`)).json()).company;
+  assert.strictEqual(retired.retired, true);
+  assert.ok(retired.retiredAt);
+
+  const res = await request('PATCH', `/companies/${slug}`, { retired: false });
+  assert.strictEqual(res.status, 200);
+  const restored = (await res.json()).company;
+  assert.strictEqual(restored.retired, false);
+  assert.strictEqual(Object.hasOwn(restored, 'retiredAt'), false);
+
+  const again = (await (await request('PATCH', `/companies/${slug}`, { retired: true })).json()).company;
+  assert.ok(again.retiredAt);
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+  US_AI_COMPANIES,
+  monthlyCompanyShares,
+  companyMonthlySeries,
+  calculateDisplacementScores,
+  decomposeCompanyShare,
+  slugify
+} = require('../src/model/companies');
+
+const AS_OF = new Date('2025-06-15T00:00:00Z');
+
+test('monthly shares cover every month and sum to one once companies score', () => {
+  const monthly = monthlyCompanyShares(US_AI_COMPANIES, AS_OF);
+  assert.strictEqual(monthly[0].month, '2022-11');
+  assert.strictEqual(monthly.at(-1).month, '2025-06');
+
+  for (const { shares } of monthly) {
+    const total = [...shares.values()].reduce((sum, share) => sum + share, 0);
+    assert.ok(total === 0 || Math.abs(total - 1) < 1e-9);
+  }
+});
+
+test('a shared monthly share table gives the same series as scoring per request', () => {
+  const slug = slugify(US_AI_COMPANIES[0].name);
+  const months = monthlyCompanyShares(US_AI_COMPANIES, AS_OF).map(({ month }) => ({ month, mid: 1000 }));
+  const shared = monthlyCompanyShares(US_AI_COMPANIES, AS_OF);
+
+  assert.deepStrictEqual(
+    companyMonthlySeries(US_AI_COMPANIES, slug, months, AS_OF, shared),
+    companyMonthlySeries(US_AI_COMPANIES, slug, months, AS_OF)
+  );
+  assert.strictEqual(companyMonthlySeries(US_AI_COMPANIES, 'no-such-company', months, AS_OF, shared), null);
+});
+
+test('a company without an operational status is scored as operational and says so', () => {
+  const companies = US_AI_COMPANIES.map(company => ({ ...company }));
+  const record = companies.find(company => company.operationalStatus === 1);
+  delete record.operationalStatus;
+  const slug = slugify(record.name);
+
+  const scores = calculateDisplacementScores(companies, 100000, AS_OF);
+  const scored = scores.find(company => company.slug === slug);
+  assert.deepStrictEqual(scored.defaults, ['operationalStatus']);
+  assert.strictEqual(scored.rawFactors.operationalFactor, 1);
+  assert.ok(scores.filter(company => company.slug !== slug).every(company => company.defaults.length === 0));
+
+  assert.deepStrictEqual(decomposeCompanyShare(companies, slug, AS_OF).defaults, ['operationalStatus']);
+});
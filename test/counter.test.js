@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+
+const { DataStore } = require('../src/data/store');
+const { MemoryPubSub } = require('../src/data/pubsub');
+const { Counter, AnchorSync } = require('../src/model/counter');
+
+// Let the memory bus deliver (it publishes on setImmediate)
+const delivered = () => new Promise(resolve => setImmediate(resolve));
+
+/**
+ * A replica: its own counter and nowcast rate, sharing the store (Redis in
+ * production) and the pub/sub bus with the others
+ */
+async function replica(id, { store, bus, perDay }) {
+  const counter = new Counter();
+  const nowcast = { rate: perDay, stdDev: null, perSecond: perDay / 86400 };
+  const anchors = new AnchorSync({ counter, store, instanceId: id, rate: () => nowcast });
+  const pubsub = new MemoryPubSub(id, { bus });
+  await anchors.connect(pubsub);
+  return { counter, anchors, nowcast, pubsub };
+}
+
+test('replicas with different nowcasts agree on value(t)', async (t) => {
+  const store = new DataStore();
+  const bus = new EventEmitter();
+  const a = await replica('a', { store, bus, perDay: 1000 });
+  const b = await replica('b', { store, bus, perDay: 1300 });
+  t.after(() => Promise.all([a.pubsub.close(), b.pubsub.close()]));
+
+  await a.anchors.refresh('JOLTS refresh', 50000);
+  await b.anchors.refresh('JOLTS refresh', 50000);
+  await delivered();
+
+  assert.strictEqual(a.anchors.leader, true);
+  assert.strictEqual(b.anchors.leader, false);
+  assert.deepStrictEqual(b.counter.anchor, a.counter.anchor);
+
+  // Each keeps refreshing at its own rate; the follower never re-anchors,
+  // so the two do not take turns overwriting the shared anchor
+  const first = store.getCounterAnchor();
+  for (let i = 0; i < 3; i++) {
+    b.nowcast.perSecond *= 1.1;
+    await b.anchors.refresh('announcement signal', 50000);
+    await a.anchors.refresh('announcement signal', 50000);
+    await delivered();
+  }
+  assert.strictEqual(store.getCounterAnchor(), first);
+  assert.strictEqual(first.perSecond, 1000 / 86400);
+
+  // The owner's rate change reaches the follower
+  a.nowcast.perSecond = 1200 / 86400;
+  await a.anchors.refresh('JOLTS refresh', 50000);
+  await delivered();
+
+  const later = Date.now() + 60 * 60 * 1000;
+  assert.strictEqual(b.counter.anchor.perSecond, 1200 / 86400);
+  assert.strictEqual(a.counter.valueAt(later), b.counter.valueAt(later));
+});
+
+test('a follower takes over once the owner stops renewing', async () => {
+  const store = new DataStore();
+  const bus = new EventEmitter();
+  const a = await replica('a', { store, bus, perDay: 1000 });
+  const b = await replica('b', { store, bus, perDay: 1300 });
+  a.anchors.leaseMs = 5;
+  b.anchors.leaseMs = 5;
+
+  assert.strictEqual(await a.anchors.claim(), true);
+  assert.strictEqual(await b.anchors.claim(), false);
+  await new Promise(resolve => setTimeout(resolve, 10));
+  assert.strictEqual(await b.anchors.claim(), true);
+  assert.strictEqual(await a.anchors.claim(), false);
+
+  await Promise.all([a.pubsub.close(), b.pubsub.close()]);
+});
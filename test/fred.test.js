@@ -0,0 +1,151 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { FredClient, FRED_API_URL } = require('../src/sources/fred');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'fred');
+
+function fixtureBody(seriesId) {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, `${seriesId}_2023-01-01.json`), 'utf8'));
+}
+
+function jsonResponse(body, status = 200, headers = {}) {
+  return new Response(status === 304 ? null : JSON.stringify(body), { status, headers });
+}
+
+// Serve the saved FRED responses in place of the network
+function mockFred(t, respond = url => jsonResponse(fixtureBody(url.searchParams.get('series_id')))) {
+  const calls = [];
+  t.mock.method(globalThis, 'fetch', async (url, options) => {
+    const parsed = new URL(url);
+    calls.push({ url: parsed, headers: options.headers });
+    return respond(parsed, calls.length);
+  });
+  return calls;
+}
+
+const client = options => new FredClient({ apiKey: 'test', backoffMs: 1, requestsPerMinute: 0, ...options });
+
+test('replay mode reads saved responses without the network', async (t) => {
+  const calls = mockFred(t);
+  const result = await client({ fixtureDir: FIXTURE_DIR }).fetchSeries('JTU5100LDL', { observationStart: '2023-01-01' });
+
+  assert.strictEqual(calls.length, 0);
+  assert.strictEqual(result.source, 'fixture');
+  assert.strictEqual(result.date, '2026-08-01');
+  assert.strictEqual(result.latest, 141000);
+  // Thirteen observations: the '.' placeholder is dropped, the rest sorted oldest first
+  assert.strictEqual(result.history.length, 13);
+  assert.ok(result.history.every((o, i) => i === 0 || result.history[i - 1].date < o.date));
+});
+
+test('replay mode names the series and window it has no fixture for', async (t) => {
+  const calls = mockFred(t);
+  const fred = client({ fixtureDir: FIXTURE_DIR });
+
+  await assert.rejects(
+    fred.fetchSeries('JTU2300LDL', { observationStart: '2023-01-01' }),
+    /^Error: No FRED fixture for JTU2300LDL\/2023-01-01 \(expected JTU2300LDL_2023-01-01\.json in /
+  );
+  assert.strictEqual(calls.length, 0);
+  assert.strictEqual(fred.getStats().failures, 1);
+});
+
+test('live requests retry 5xx responses and then succeed', async (t) => {
+  const calls = mockFred(t, (url, n) => (n < 3
+    ? jsonResponse({ error_message: 'busy' }, 503)
+    : jsonResponse(fixtureBody('JTSLDL'))));
+  const fred = client();
+
+  const result = await fred.fetchSeries('JTSLDL', { observationStart: '2023-01-01' });
+  assert.strictEqual(calls.length, 3);
+  assert.strictEqual(calls[0].url.origin + calls[0].url.pathname, FRED_API_URL);
+  assert.strictEqual(calls[0].url.searchParams.get('observation_start'), '2023-01-01');
+  assert.strictEqual(result.source, 'live');
+  assert.strictEqual(result.latest, 1578000);
+  assert.strictEqual(fred.getStats().retries, 2);
+});
+
+test('client errors are not retried', async (t) => {
+  const calls = mockFred(t, () => jsonResponse({ error_message: 'Bad Request' }, 400));
+  await assert.rejects(client().fetchSeries('JTSLDL'), /HTTP 400/);
+  assert.strictEqual(calls.length, 1);
+});
+
+test('the disk cache answers 304s and covers outages', async (t) => {
+  const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fred-'));
+  t.after(() => fs.rmSync(cacheDir, { recursive: true, force: true }));
+
+  let mode = 'fresh';
+  const calls = mockFred(t, url => {
+    if (mode === 'fresh') return jsonResponse(fixtureBody('JTSLDL'), 200, { etag: '"v1"' });
+    if (mode === 'unchanged') return jsonResponse(null, 304);
+    return jsonResponse({ error_message: 'down' }, 500);
+  });
+  const fred = client({ cacheDir, retries: 0 });
+
+  assert.strictEqual((await fred.fetchSeries('JTSLDL', { observationStart: '2023-01-01' })).source, 'live');
+
+  mode = 'unchanged';
+  const revalidated = await fred.fetchSeries('JTSLDL', { observationStart: '2023-01-01' });
+  assert.strictEqual(calls.at(-1).headers['If-None-Match'], '"v1"');
+  assert.strictEqual(revalidated.source, 'not-modified');
+  assert.strictEqual(revalidated.latest, 1578000);
+
+  mode = 'down';
+  const stale = await fred.fetchSeries('JTSLDL', { observationStart: '2023-01-01' });
+  assert.strictEqual(stale.source, 'cache');
+  assert.strictEqual(stale.stale, true);
+  assert.strictEqual(stale.error, 'HTTP 500');
+});
+
+test('parallel fetches never exceed the concurrency cap', async (t) => {
+  let inFlight = 0;
+  let peak = 0;
+  mockFred(t, async url => {
+    inFlight++;
+    peak = Math.max(peak, inFlight);
+    await new Promise(resolve => setTimeout(resolve, 2));
+    inFlight--;
+    return jsonResponse(fixtureBody(url.searchParams.get('series_id')));
+  });
+
+  const fred = client({ concurrency: 2 });
+  const ids = Array.from({ length: 8 }, (_, i) => (i % 2 ? 'JTSLDL' : 'JTU5100LDL'));
+  await Promise.all(ids.map(id => fred.fetchSeries(id, { observationStart: '2023-01-01' })));
+
+  assert.strictEqual(peak, 2);
+  assert.strictEqual(fred.active, 0);
+});
+
+test('a released slot goes to the waiter, not to a request that arrives meanwhile', async () => {
+  const fred = client({ concurrency: 1 });
+  let inFlight = 0;
+  let peak = 0;
+  const job = gate => fred.withSlot(async () => {
+    inFlight++;
+    peak = Math.max(peak, inFlight);
+    await gate;
+    inFlight--;
+  });
+
+  let release;
+  const first = job(new Promise(resolve => { release = resolve; }));
+  const waiter = job(new Promise(resolve => setTimeout(resolve, 5)));
+  await new Promise(resolve => setImmediate(resolve));
+
+  // Arrive after the first request frees its slot but before the waiter resumes
+  let newcomer;
+  release();
+  queueMicrotask(() => queueMicrotask(() => {
+    newcomer = job(new Promise(resolve => setTimeout(resolve, 5)));
+  }));
+  await new Promise(resolve => setTimeout(resolve, 1));
+  await Promise.all([first, waiter, newcomer]);
+
+  assert.strictEqual(peak, 1);
+  assert.strictEqual(fred.active, 0);
+});
@@ -0,0 +1,21 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { INDUSTRIES } = require('../src/model/exposure');
+const { loadStateData } = require('../src/model/geography');
+
+test('state employment rows cite a source and report its provenance', () => {
+  const { states, sources, status } = loadStateData();
+
+  assert.strictEqual(states.size, 51);
+  for (const state of states.values()) {
+    assert.deepStrictEqual(Object.keys(state.employment).sort(), [...INDUSTRIES].sort(), state.code);
+  }
+
+  assert.deepStrictEqual(sources.map(source => source.key), ['state-employment-approx']);
+  for (const source of sources) {
+    assert.ok(source.citation && source.url && source.period && source.retrieved, source.key);
+  }
+  assert.strictEqual(status.provisional, true);
+  assert.match(status.note, /^Provisional: the state shares rest on state-employment-approx \(approximation\)/);
+});
@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { validateQuery, queryHistory } = require('../src/model/history');
+
+const monthly = [
+  { month: '2023-01', total: 1000, low: 10, mid: 20, high: 30 },
+  { month: '2023-02', total: 1200, low: 12, mid: 24, high: 36 },
+  { month: '2023-04', total: 900, low: 9, mid: 18, high: 27 }
+];
+
+test('prototype names are not series', () => {
+  for (const series of ['constructor', '__proto__', 'toString', 'hasOwnProperty']) {
+    assert.match(validateQuery({ series }), /^Unknown series/);
+    assert.throws(() => queryHistory(monthly, { series }), /Unknown series/);
+  }
+  assert.match(validateQuery({ series: ['ai_mid'] }), /^Unknown series/);
+  assert.match(validateQuery({ from: ['2023-01'] }), /^Invalid from/);
+  assert.strictEqual(validateQuery({ series: 'total', from: '2023-01', to: '2023-03-31' }), null);
+});
+
+test('quarters add up and the cumulative curve starts at the first month', () => {
+  const result = queryHistory(monthly, { series: 'ai_mid', from: '2023-02', granularity: 'quarter' });
+
+  assert.deepStrictEqual(result.points.map(p => [p.period, p.months, p.value, p.cumulative]), [
+    ['2023-Q1', 1, 24, 44],
+    ['2023-Q2', 1, 18, 62]
+  ]);
+});
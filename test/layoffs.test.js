@@ -0,0 +1,164 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const RateNowcaster = require('../src/model/nowcast');
+const { classifyAnnouncement } = require('../src/ingest/layoffs/classifier');
+const { normalizeAnnouncement, announcementSignal } = require('../src/ingest/layoffs');
+const { parseJsonFeed, parseRssFeed } = require('../src/ingest/layoffs/sources');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2025-10-31T12:00:00Z');
+
+test('announcements that tie the cuts to AI are ai-cited', () => {
+  const cited = [
+    'Klarna says 700 customer service roles were replaced by AI chatbots',
+    'Dropbox cuts 500 jobs due to AI as it refocuses the company',
+    'Insurer announces AI-driven layoffs across its claims unit',
+    'Duolingo: contractor work now handled by generative AI',
+    'Chegg is shifting resources toward AI tools and cutting 22% of staff'
+  ];
+  for (const text of cited) {
+    const result = classifyAnnouncement(text);
+    assert.strictEqual(result.classification, 'ai-cited', text);
+    assert.ok(result.matches.length > 0, text);
+  }
+});
+
+test('AI mentioned without a stated cause is only ai-adjacent', () => {
+  const result = classifyAnnouncement('Salesforce lays off 1,000 while it keeps investing in AI products');
+  assert.deepStrictEqual(result, { classification: 'ai-adjacent', matches: ['ai'] });
+
+  assert.strictEqual(classifyAnnouncement('Plant closes as automation spreads').classification, 'ai-adjacent');
+  assert.strictEqual(classifyAnnouncement('Startup rebrands to ChatGPT-style assistant').classification, 'ai-adjacent');
+});
+
+test('announcements without AI language are unrelated', () => {
+  for (const text of [
+    'Retailer closes 40 stores and cuts 1,200 jobs amid weak sales',
+    // "ai" inside other words is not AI
+    'Airline trims maintenance staff in Hawaii; retail chain cuts 300',
+    '',
+    null
+  ]) {
+    assert.deepStrictEqual(classifyAnnouncement(text), { classification: 'unrelated', matches: [] }, String(text));
+  }
+});
+
+test('normalizeAnnouncement reads headcount, company and a stable id', () => {
+  const item = {
+    id: null,
+    company: null,
+    headcount: null,
+    date: 'Tue, 14 Oct 2025 09:30:00 GMT',
+    title: 'Acme Corp lays off 1,250 workers as AI tools take over support',
+    summary: 'The company said roles will be replaced by AI agents.',
+    url: 'https://example.com/acme',
+    state: 'CA',
+    industry: null
+  };
+  const event = normalizeAnnouncement(item);
+
+  assert.strictEqual(event.company, 'Acme Corp');
+  assert.strictEqual(event.headcount, 1250);
+  assert.strictEqual(event.event_time, '2025-10-14T09:30:00.000Z');
+  assert.strictEqual(event.ai_classification, 'ai-cited');
+  assert.match(event.id, /^layoff-[0-9a-f]{16}$/);
+  assert.strictEqual(normalizeAnnouncement({ ...item }).id, event.id);
+  // The url identifies an item without an id, so a reworded headline is the same event
+  assert.strictEqual(normalizeAnnouncement({ ...item, title: `${item.title} (updated)` }).id, event.id);
+});
+
+test('normalizeAnnouncement prefers feed fields and copes with malformed ones', () => {
+  const base = { title: 'Layoffs at Globex', summary: '', date: '2025-10-01', url: null };
+
+  assert.strictEqual(normalizeAnnouncement({ ...base, headcount: '2,400' }).headcount, 2400);
+  assert.strictEqual(normalizeAnnouncement({ ...base, headcount: 'unknown' }).headcount, null);
+  assert.strictEqual(normalizeAnnouncement({ ...base, headcount: 0, summary: 'cutting 90 jobs' }).headcount, null);
+  assert.strictEqual(normalizeAnnouncement({ ...base, company: 'Globex Inc.' }).company, 'Globex Inc.');
+  // No "X lays off / cuts ..." headline to take a company from
+  assert.strictEqual(normalizeAnnouncement(base).company, null);
+
+  // No usable date or no text at all: dropped
+  assert.strictEqual(normalizeAnnouncement({ ...base, date: null }), null);
+  assert.strictEqual(normalizeAnnouncement({ ...base, date: 'sometime in October' }), null);
+  assert.strictEqual(normalizeAnnouncement({ ...base, title: '', summary: '' }), null);
+});
+
+test('feed parsers fill the same fields from JSON and RSS', () => {
+  const [json] = parseJsonFeed(JSON.stringify({
+    items: [{ published: '2025-10-02', description: 'Cuts 50 jobs', link: 'https://example.com/a' }]
+  }));
+  assert.deepStrictEqual(json, {
+    id: null, company: null, headcount: null, date: '2025-10-02', title: '',
+    summary: 'Cuts 50 jobs', url: 'https://example.com/a', state: null, industry: null
+  });
+  assert.throws(() => parseJsonFeed('{"entries": []}'), /must be an array/);
+
+  const rss = parseRssFeed(`<rss><channel>
+    <item><title><![CDATA[Initech cuts 300 roles &amp; shifts to AI]]></title>
+      <pubDate>Wed, 01 Oct 2025 08:00:00 GMT</pubDate><link>https://example.com/b</link>
+      <description>&lt;p&gt;Automation push&lt;/p&gt;</description></item>
+    <entry><title>Hooli layoffs</title><updated>2025-10-03T00:00:00Z</updated>
+      <link href="https://example.com/c"/></entry>
+  </channel></rss>`);
+  assert.deepStrictEqual(rss.map(item => [item.title, item.date, item.url]), [
+    ['Initech cuts 300 roles & shifts to AI', 'Wed, 01 Oct 2025 08:00:00 GMT', 'https://example.com/b'],
+    ['Hooli layoffs', '2025-10-03T00:00:00Z', 'https://example.com/c']
+  ]);
+  assert.strictEqual(normalizeAnnouncement(rss[0]).headcount, 300);
+});
+
+function event(daysAgo, headcount, classification, source = 'layoffs') {
+  return {
+    source,
+    headcount,
+    ai_classification: classification,
+    event_time: new Date(NOW - daysAgo * DAY_MS).toISOString()
+  };
+}
+
+test('the signal counts cited headcount in full and adjacent at the baseline share', () => {
+  const events = [
+    event(1, 600, 'ai-cited'),
+    event(5, 400, 'ai-adjacent'),
+    event(6, 10000, 'unrelated'),
+    event(7, null, 'ai-cited'),
+    event(8, 500, 'ai-cited', 'warn')
+  ];
+  const signal = announcementSignal(events, { now: NOW, days: 30, captureRate: 0.5, aiShareBaseline: 0.25 });
+
+  assert.deepStrictEqual(signal, {
+    dailyRate: (600 + 400 * 0.25) / 0.5 / 30,
+    events: 2,
+    aiCited: 600,
+    aiAdjacent: 400
+  });
+});
+
+test('announcements age out of the signal window', () => {
+  const events = [event(2, 300, 'ai-cited'), event(20, 900, 'ai-cited'), event(45, 5000, 'ai-cited')];
+  const options = { now: NOW, captureRate: 1, aiShareBaseline: 0.25 };
+
+  assert.strictEqual(announcementSignal(events, { ...options, days: 30 }).aiCited, 1200);
+  assert.strictEqual(announcementSignal(events, { ...options, days: 10 }).aiCited, 300);
+  // Exactly `days` old is already outside
+  assert.strictEqual(announcementSignal([event(10, 300, 'ai-cited')], { ...options, days: 10 }).events, 0);
+  assert.deepStrictEqual(announcementSignal([], { ...options, days: 30 }), { dailyRate: 0, events: 0, aiCited: 0, aiAdjacent: 0 });
+});
+
+test('a noisy announcement signal moves the nowcast less than a JOLTS-grade one', () => {
+  const nowcast = () => {
+    const filter = new RateNowcaster({ processNoise: 10000, measurementNoise: 40000, initialRate: 1000 });
+    filter.update(1000, 40000, NOW - 30 * DAY_MS);
+    return filter;
+  };
+
+  const precise = nowcast();
+  const noisy = nowcast();
+  const preciseGain = precise.observeSignal(2000, 40000, NOW).gain;
+  const noisyGain = noisy.observeSignal(2000, 800000, NOW).gain;
+
+  assert.ok(noisyGain > 0 && noisyGain < preciseGain);
+  assert.ok(noisy.getEstimate(NOW).rate < precise.getEstimate(NOW).rate);
+  assert.strictEqual(noisy.lastSignalAt, NOW);
+});
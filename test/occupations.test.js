@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { INDUSTRIES } = require('../src/model/exposure');
+const { loadOccupationData, deriveIndustryRates, PUBLISHED_KIND } = require('../src/model/occupations');
+
+test('every bundled occupation row cites a known source', () => {
+  const { sources, occupations, matrix } = loadOccupationData();
+
+  for (const occupation of occupations.values()) assert.ok(sources.has(occupation.source), occupation.soc);
+  for (const row of matrix) assert.ok(sources.has(row.source), `${row.industry} ${row.soc}`);
+  for (const source of sources.values()) assert.ok(source.citation && source.kind, source.key);
+});
+
+test('industry rates are employment-weighted means of occupation rates', () => {
+  const { industries, other, sources } = deriveIndustryRates(INDUSTRIES);
+
+  assert.deepStrictEqual(Object.keys(industries), INDUSTRIES);
+  for (const rates of [...Object.values(industries), other]) {
+    assert.ok(rates.low <= rates.mid && rates.mid <= rates.high);
+    const mid = rates.contributions.reduce((sum, c) => sum + c.contributionMid, 0);
+    assert.ok(Math.abs(mid - rates.mid) < 1e-12);
+  }
+  assert.ok(sources.length >= 2);
+});
+
+test('rates resting on approximations or editorial estimates are provisional', () => {
+  const data = loadOccupationData();
+  const { status } = deriveIndustryRates(INDUSTRIES, data);
+
+  assert.strictEqual(status.provisional, true);
+  assert.deepStrictEqual(status.unpublishedSources.sort(), ['exposure-editorial', 'nem-2023-approx']);
+  assert.match(status.note, /^Provisional: /);
+
+  const published = new Map([...data.sources].map(([key, source]) => [key, { ...source, kind: PUBLISHED_KIND }]));
+  assert.strictEqual(deriveIndustryRates(INDUSTRIES, { ...data, sources: published }).status.provisional, false);
+});
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const msgpack = require('../src/stream/msgpack');
+const { diffState, applyDelta, channelEntry, ClientSession } = require('../src/stream/protocol');
+
+// Stands in for a ws socket; keeps the decoded messages it was sent
+function fakeSocket() {
+  return {
+    readyState: 1,
+    bufferedAmount: 0,
+    sent: [],
+    send(frame) {
+      this.sent.push(Buffer.isBuffer(frame) ? msgpack.decode(frame) : JSON.parse(frame));
+    }
+  };
+}
+
+test('deltas tell a null value apart from a removed key', () => {
+  const prev = { total: 10, perDayStdDev: 1.5, suppression: { state: 'CA' }, modelVersion: '2.0', retired: true };
+  const next = { total: 12, perDayStdDev: null, suppression: null, modelVersion: null };
+
+  const delta = diffState(prev, next);
+  assert.deepStrictEqual(delta, {
+    set: { total: 12, perDayStdDev: null, suppression: null, modelVersion: null },
+    unset: ['retired']
+  });
+  assert.deepStrictEqual(applyDelta(prev, delta), next);
+  assert.strictEqual(diffState(next, { ...next }), null);
+});
+
+test('nested objects are diffed the same way', () => {
+  const prev = { sectors: { information: { rate: 0.1, note: 'x' }, finance: { rate: 0.2 } } };
+  const next = { sectors: { information: { rate: 0.1, note: null }, finance: { rate: 0.2 } } };
+
+  const delta = diffState(prev, next);
+  assert.deepStrictEqual(delta, { nested: { sectors: { nested: { information: { set: { note: null } } } } } });
+  assert.deepStrictEqual(applyDelta(prev, delta), next);
+});
+
+test('msgpack keeps a __proto__ key as data', () => {
+  const decoded = msgpack.decode(msgpack.encode(JSON.parse('{"__proto__": {"polluted": true}, "a": 1}')));
+
+  assert.strictEqual(Object.getPrototypeOf(decoded), Object.prototype);
+  assert.strictEqual(decoded.polluted, undefined);
+  assert.deepStrictEqual(Object.keys(decoded), ['__proto__', 'a']);
+  assert.strictEqual({}.polluted, undefined);
+});
+
+test('a channel without a previous state gets a snapshot, not a delta', () => {
+  const ws = fakeSocket();
+  const session = new ClientSession(ws, { version: 2 });
+  const states = { counter: { total: 1 } };
+
+  session.update(channel => states[channel] ?? null, 1000, {});
+  states.counter = { total: 2 };
+  session.update(channel => states[channel] ?? null, 2000, {});
+
+  assert.deepStrictEqual(ws.sent.map(m => [m.type, m.data]), [
+    ['snapshot', { total: 1 }],
+    ['delta', { set: { total: 2 } }]
+  ]);
+});
+
+test('v1 sessions only receive init and tick', () => {
+  const ws = fakeSocket();
+  const session = new ClientSession(ws, { version: 1 });
+
+  session.sendSnapshot('counter', { total: 1 });
+  session.sendEvent('model-updates', 'model-update', { version: '2.1' });
+  session.sendEvent('model-updates', 'revision', { series: 'JTSLDL' });
+  session.handleMessage('not json', () => true);
+  session.update(() => ({ total: 2 }), Date.now() + 1000, {});
+
+  assert.deepStrictEqual(ws.sent.map(m => m.type), ['init', 'tick']);
+});
+
+test('prototype names are not sector or company channels', () => {
+  const sources = { sectors: { information: { share: {} } }, companies: new Map([['openai', { share: 0.1 }]]) };
+  const isKnown = channel => channelEntry(channel, sources) !== null;
+
+  assert.ok(isKnown('sector:information'));
+  assert.ok(isKnown('company:openai'));
+  for (const name of ['constructor', 'toString', '__proto__', 'hasOwnProperty']) {
+    assert.strictEqual(channelEntry(`sector:${name}`, sources), null);
+    assert.strictEqual(channelEntry(`company:${name}`, sources), null);
+  }
+  assert.strictEqual(channelEntry('sector:information', { ...sources, sectors: null }), null);
+
+  const ws = fakeSocket();
+  const session = new ClientSession(ws, { version: 2 });
+  const snapshots = session.handleMessage(JSON.stringify({ type: 'subscribe', channels: ['sector:constructor'] }), isKnown);
+  assert.deepStrictEqual(snapshots, []);
+  assert.deepStrictEqual(ws.sent.map(m => [m.type, m.error]), [['error', 'Unknown sector in channel "sector:constructor"']]);
+  assert.strictEqual(session.subscribed('sector:constructor'), false);
+});
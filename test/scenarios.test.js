@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { resolveScenario } = require('../src/model/scenarios');
+const { currentParameters } = require('../src/model/versions');
+
+const base = { id: 'v1', params: currentParameters() };
+
+test('a mid-only override rescales the inherited band around it', () => {
+  const inherited = base.params.exposure.information;
+  const { value, errors } = resolveScenario({ exposure: { information: { mid: 0.3 } } }, base);
+
+  assert.strictEqual(errors, undefined);
+  const rates = value.params.exposure.information;
+  assert.strictEqual(rates.mid, 0.3);
+  assert.ok(rates.low <= rates.mid && rates.mid <= rates.high && rates.high <= 1);
+  assert.ok(Math.abs(rates.low / rates.mid - inherited.low / inherited.mid) < 1e-9);
+  assert.deepStrictEqual(value.overrides, { exposure: { information: { mid: 0.3 } } });
+});
+
+test('a mid-only override near 1 clamps high to 1', () => {
+  const { value } = resolveScenario({ exposure: { information: { mid: 0.95 } } }, base);
+  assert.strictEqual(value.params.exposure.information.high, 1);
+});
+
+test('explicit bands must still be ordered', () => {
+  const { errors } = resolveScenario({ exposure: { information: { low: 0.5, mid: 0.3 } } }, base);
+  assert.deepStrictEqual(errors, ['exposure.information must satisfy low <= mid <= high']);
+});
+
+test('scenarios that override nothing are rejected', () => {
+  for (const body of [{}, { name: 'baseline' }, { exposure: {}, allocations: {} }]) {
+    const { errors } = resolveScenario(body, base);
+    assert.strictEqual(errors.length, 1);
+    assert.match(errors[0], /must override at least one of/);
+  }
+});
+
+test('a sector named without any rate is rejected', () => {
+  const { errors } = resolveScenario({ exposure: { information: {} } }, base);
+  assert.deepStrictEqual(errors, ['exposure.information must override at least one of: low, mid, high']);
+  assert.ok(resolveScenario({ exposure: { information: {} }, startDate: '2024-01-01' }, base).errors);
+});
+
+test('prototype names are not sectors or multiplier keys', () => {
+  assert.match(resolveScenario({ exposure: { constructor: { mid: 0.1 } } }, base).errors[0], /Unknown sector/);
+  assert.match(resolveScenario({ typeMult: { toString: 1 } }, base).errors[0], /is not one of/);
+});
@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { INDUSTRIES } = require('../src/model/exposure');
+const { US_AI_COMPANIES } = require('../src/model/companies');
+const { currentParameters } = require('../src/model/versions');
+const { analyzeSensitivity, analyzeSensitivityInBatches } = require('../src/model/sensitivity');
+
+function fixtureFred() {
+  const history = Array.from({ length: 12 }, (_, i) => ({
+    date: new Date(Date.UTC(2024, i, 1)).toISOString().slice(0, 10),
+    value: 1700 + 20 * i
+  }));
+  const series = scale => {
+    const scaled = history.map(o => ({ date: o.date, value: Math.round(o.value * scale) }));
+    return { value: scaled.at(-1).value, date: scaled.at(-1).date, history: scaled };
+  };
+  const fred = { total: series(1) };
+  for (const industry of INDUSTRIES) fred[industry] = series(0.05);
+  return fred;
+}
+
+const OPTIONS = { samples: 16, seed: 3, now: new Date('2025-01-15T00:00:00Z') };
+
+test('batched analysis matches the synchronous one and reports only indices', async () => {
+  const fred = fixtureFred();
+  const companies = US_AI_COMPANIES.slice(0, 8);
+  const params = currentParameters();
+
+  const report = analyzeSensitivity(fred, companies, params, OPTIONS);
+  assert.deepStrictEqual(await analyzeSensitivityInBatches(fred, companies, params, OPTIONS, 10), report);
+
+  assert.deepStrictEqual(Object.keys(report).sort(), ['companies', 'computedAt', 'method', 'parameters', 'total']);
+  const row = report.total.sobol[0];
+  assert.deepStrictEqual(Object.keys(row).sort(), ['firstOrder', 'group', 'parameter', 'totalOrder']);
+  assert.strictEqual(report.companies.length, 8);
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const config = require('../src/config');
+const { DataStore } = require('../src/data/store');
+
+async function fileStore(dir) {
+  const previous = { ...config.store };
+  Object.assign(config.store, { driver: 'file', dataDir: dir });
+  try {
+    return await new DataStore().initialize();
+  } finally {
+    Object.assign(config.store, previous);
+  }
+}
+
+test('memory store keeps counters, state and the JOLTS snapshot', async () => {
+  const store = new DataStore();
+  await store.setCounters(1200, 340);
+  await store.setState({ counterSavedAt: '2025-01-01T00:00:00.000Z' });
+  await store.setJoltsAnchor({ fred: { fetchedAt: '2025-01-01' } });
+
+  assert.deepStrictEqual(store.getCounters(), { total: 1200, ai: 340 });
+  assert.strictEqual(store.getState().counterSavedAt, '2025-01-01T00:00:00.000Z');
+  assert.strictEqual(store.getJoltsAnchor().fred.fetchedAt, '2025-01-01');
+});
+
+test('file store restores what a previous process persisted', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'store-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const first = await fileStore(dir);
+  await first.setCounters(5000, 812.5);
+  await first.setState({ calculated: { historicalMid: 800 } });
+  await first.setJoltsAnchor({ fred: { fetchedAt: '2025-02-01' } });
+
+  const second = await fileStore(dir);
+  assert.deepStrictEqual(second.getCounters(), { total: 5000, ai: 812.5 });
+  assert.strictEqual(second.getState().calculated.historicalMid, 800);
+  assert.strictEqual(second.getJoltsAnchor().fred.fetchedAt, '2025-02-01');
+});
+
+test('file replay keeps only the newest audit entries, scenarios and revisions', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'store-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const { AUDIT_LIMIT, SCENARIO_LIMIT, REVISION_LIMIT } = require('../src/data/store').limits;
+  const lines = [];
+  const append = (op, count) => {
+    for (let i = 0; i < count; i++) lines.push(JSON.stringify({ op, data: { id: `${op}-${i}`, createdAt: String(i) }, ts: 0 }));
+  };
+  append('audit', AUDIT_LIMIT + 3);
+  append('scenario', SCENARIO_LIMIT + 2);
+  append('revision', REVISION_LIMIT + 1);
+  fs.writeFileSync(path.join(dir, 'log.jsonl'), lines.join('\n') + '\n');
+
+  const store = await fileStore(dir);
+  const audit = store.getAudit({ limit: Infinity });
+  assert.strictEqual(audit.length, AUDIT_LIMIT);
+  assert.strictEqual(audit[0].id, `audit-${AUDIT_LIMIT + 2}`);
+  assert.strictEqual(store.getScenario('scenario-0'), null);
+  assert.ok(store.getScenario(`scenario-${SCENARIO_LIMIT + 1}`));
+  assert.strictEqual(store.getRevisions({ limit: Infinity }).length, REVISION_LIMIT);
+});
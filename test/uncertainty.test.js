@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { INDUSTRIES } = require('../src/model/exposure');
+const { simulate, simulateInBatches } = require('../src/model/uncertainty');
+
+// Two years of monthly JOLTS-shaped series with a little month-to-month variation
+function fixtureFred() {
+  const months = [];
+  for (let i = 0; i < 24; i++) {
+    const date = new Date(Date.UTC(2023, i, 1)).toISOString().slice(0, 10);
+    months.push({ date, wobble: 1 + 0.05 * Math.sin(i) });
+  }
+  const series = base => {
+    const history = months.map(({ date, wobble }) => ({ date, value: Math.round(base * wobble) }));
+    return { value: history.at(-1).value, date: history.at(-1).date, history };
+  };
+
+  const fred = { total: series(1700) };
+  INDUSTRIES.forEach((industry, i) => { fred[industry] = series(40 + 10 * i); });
+  return fred;
+}
+
+const OPTIONS = { samples: 200, seed: 42, now: new Date('2025-01-15T00:00:00Z') };
+
+test('the same seed gives identical bands', () => {
+  const fred = fixtureFred();
+  const first = simulate(fred, {}, OPTIONS);
+  const second = simulate(fred, {}, OPTIONS);
+
+  assert.ok(first.cumulative.p5 < first.cumulative.p95);
+  assert.deepStrictEqual(second, first);
+});
+
+test('a different seed gives different draws', () => {
+  const fred = fixtureFred();
+  assert.notDeepStrictEqual(
+    simulate(fred, {}, { ...OPTIONS, seed: 7 }).cumulative,
+    simulate(fred, {}, OPTIONS).cumulative
+  );
+});
+
+test('batched runs match a single synchronous run', async () => {
+  const fred = fixtureFred();
+  assert.deepStrictEqual(await simulateInBatches(fred, {}, OPTIONS, 7), simulate(fred, {}, OPTIONS));
+});
+
+test('no data gives no bands', async () => {
+  assert.strictEqual(simulate({}, {}, OPTIONS), null);
+  assert.strictEqual(await simulateInBatches({}, {}, OPTIONS), null);
+});
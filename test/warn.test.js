@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const config = require('../src/config');
+const { parseState, ingestWarnNotices } = require('../src/ingest/warn');
+const { normalizeNotice, parseDate } = require('../src/ingest/warn/normalize');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'warn');
+
+function parseFixture(state) {
+  const source = config.warnSources[state];
+  const body = fs.readFileSync(path.join(FIXTURE_DIR, `${state}.${source.format}`), 'utf8');
+  return parseState(state, body, source);
+}
+
+test('parseDate reads every format and rejects impossible dates', () => {
+  assert.strictEqual(parseDate('10/15/2025'), '2025-10-15');
+  assert.strictEqual(parseDate('10/15/25'), '2025-10-15');
+  assert.strictEqual(parseDate('2025-10-15'), '2025-10-15');
+  assert.strictEqual(parseDate('Oct 15, 2025'), '2025-10-15');
+  assert.strictEqual(parseDate('15-Oct-2025'), '2025-10-15');
+
+  assert.strictEqual(parseDate('13/01/2025'), null);
+  assert.strictEqual(parseDate('Feb 30, 2025'), null);
+  assert.strictEqual(parseDate('2025-00-10'), null);
+});
+
+test('normalizeNotice drops rows with no valid date instead of throwing', () => {
+  const raw = { company: 'Acme', location: 'Fresno', headcount: '12', noticeDate: '13/01/2025' };
+  assert.strictEqual(normalizeNotice('CA', raw), null);
+
+  const fallback = normalizeNotice('CA', { ...raw, effectiveDate: '03/01/2025' });
+  assert.strictEqual(fallback.event_time, '2025-03-01T00:00:00.000Z');
+});
+
+test('CA fixture keeps the valid rows around a malformed one', () => {
+  const events = parseFixture('CA');
+  assert.deepStrictEqual(events.map(e => e.company), [
+    'Salesforce, Inc.',
+    'Intel Corporation',
+    'Kaiser Foundation Hospitals'
+  ]);
+  assert.strictEqual(events[1].headcount, 1041);
+  assert.strictEqual(events[0].notice_date, '2025-10-14');
+});
+
+test('NY fixture parses long month names and falls back to the layoff date', () => {
+  const events = parseFixture('NY');
+  assert.strictEqual(events.length, 3);
+  assert.strictEqual(events[0].company, 'International Business Machines Corporation');
+  assert.strictEqual(events[1].notice_date, '2025-10-09');
+  assert.strictEqual(events[2].notice_date, null);
+  assert.strictEqual(events[2].event_time, '2025-04-30T00:00:00.000Z');
+});
+
+test('TX fixture maps the upper-case export columns', () => {
+  const events = parseFixture('TX');
+  assert.deepStrictEqual(events.map(e => [e.company, e.location, e.headcount, e.notice_date]), [
+    ['Oracle America, Inc.', 'Travis', 94, '2025-10-13'],
+    ['Dell Technologies', 'Williamson', 183, '2025-10-06']
+  ]);
+});
+
+test('WA fixture skips the search table and reads the notices table', () => {
+  const events = parseFixture('WA');
+  assert.strictEqual(events.length, 3);
+  assert.strictEqual(events[1].headcount, 2303);
+  assert.strictEqual(events[1].effective_date, '2025-12-01');
+});
+
+test('ingestWarnNotices stores each notice once across repeated fetches', async () => {
+  const stored = new Map();
+  const target = {
+    async addEvent(event) {
+      if (stored.has(event.id)) return false;
+      stored.set(event.id, event);
+      return true;
+    }
+  };
+
+  const first = await ingestWarnNotices({ fixtureDir: FIXTURE_DIR, target });
+  const second = await ingestWarnNotices({ fixtureDir: FIXTURE_DIR, target });
+
+  assert.strictEqual(first.added.length, 11);
+  assert.strictEqual(second.added.length, 0);
+  assert.ok(first.states.every(state => !state.error));
+});